@@ -0,0 +1,79 @@
+// Graphviz diagrams written as code fences and turned into inline SVG while the markdown is built, using
+// the WebAssembly build of Graphviz so nothing is fetched or installed. Black strokes and text become
+// `currentColor` and the background is dropped, so a diagram follows the page theme; nodes and edges
+// given `class="accent"` or `class="muted"` pick up the theme's other colours from styles.css.
+//
+//   ```dot alt="Control flow graph of foo" title="foo's CFG"
+//   digraph { "let y = x * 10;" -> exit }
+//   ```
+//
+// `alt` is required, like it is for images. `title` adds a caption.
+const { instance } = require("@viz-js/viz");
+
+const LANGUAGES = new Set(["dot", "graphviz"]);
+
+// Monospace boxes on a transparent background, in the spirit of the site
+const DEFAULTS = {
+  graphAttributes: { bgcolor: "transparent", fontname: "Courier", fontsize: 12, pad: 0.1 },
+  nodeAttributes: { shape: "box", fontname: "Courier", fontsize: 12, margin: "0.15,0.08" },
+  edgeAttributes: { fontname: "Courier", fontsize: 11, arrowsize: 0.7 },
+};
+
+const escapeHtml = (str) =>
+  str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const infoAttribute = (info, name) => {
+  const match = info.match(new RegExp(`\\b${name}=(?:"([^"]*)"|(\\S+))`));
+  return match ? match[1] ?? match[2] : null;
+};
+
+// Graphviz's SVG, trimmed for inlining: no prolog or comments, no white background, theme colours, and
+// sized by CSS from its viewBox.
+function themeSvg(svg, alt) {
+  return svg
+    .replace(/^[\s\S]*?(?=<svg)/, "")
+    .replace(/<!--[\s\S]*?-->\n?/g, "")
+    .replace(/<polygon fill="(?:white|transparent)" stroke="none"[^>]*\/>\n?/, "")
+    .replace(/\b(fill|stroke)="(?:black|#000000)"/g, '$1="currentColor"')
+    .replace(/<svg width="([\d.]+)pt" height="([\d.]+)pt"/, (_, width, height) =>
+      `<svg role="img" aria-label="${escapeHtml(alt)}" width="${Math.round(width * 4 / 3)}" height="${Math.round(height * 4 / 3)}"`)
+    .trim();
+}
+
+module.exports = function (eleventyConfig) {
+  let viz = null;
+  eleventyConfig.on("eleventy.before", async () => {
+    viz = viz || (await instance());
+  });
+
+  eleventyConfig.amendLibrary("md", (mdLib) => {
+    // Diagram fences become their own token type before any fence renderer (and its language check) sees them
+    mdLib.core.ruler.push("diagrams", (state) => {
+      for (const token of state.tokens) {
+        if (token.type === "fence" && LANGUAGES.has(token.info.trim().split(/\s+/)[0])) {
+          token.type = "diagram";
+        }
+      }
+    });
+
+    mdLib.renderer.rules.diagram = (tokens, idx, options, env) => {
+      const token = tokens[idx];
+      const inputPath = (env.page && env.page.inputPath) || "markdown";
+      const alt = infoAttribute(token.info, "alt");
+      if (!alt || !alt.trim()) {
+        throw new Error(`${inputPath}: diagram on line ${token.map[0] + 1} has no alt text`);
+      }
+      if (!viz) throw new Error("Graphviz is not loaded yet; diagrams can only render during a build");
+
+      let svg;
+      try {
+        svg = viz.renderString(token.content, { format: "svg", ...DEFAULTS });
+      } catch (err) {
+        throw new Error(`${inputPath}: diagram on line ${token.map[0] + 1} failed to render: ${err.message}`);
+      }
+      const title = infoAttribute(token.info, "title");
+      const caption = title ? `<figcaption>${escapeHtml(title)}</figcaption>` : "";
+      return `<figure class="diagram">${themeSvg(svg, alt)}${caption}</figure>\n`;
+    };
+  });
+};
@@ -0,0 +1,69 @@
+// Drafts (`draft: true`) and scheduled posts (a `date` still in the future) are left out of production
+// builds entirely. With ELEVENTY_DRAFTS set, as `npm run dev` does, they are built with a banner instead.
+const BUILD_TIME = new Date();
+
+function getDraftStatus(data) {
+  if (data.draft) return "draft";
+  if (data.page && data.page.date > BUILD_TIME) return "scheduled";
+  return null;
+}
+
+// Where the draft will live once published, even while production gives it no permalink
+function getIntendedUrl(data) {
+  if (typeof data.permalink === "string" && data.permalink && !data.permalink.includes("{")) {
+    return data.permalink;
+  }
+  // Eleventy drops "index" and a file named after its folder (posts/verifex/verifex.md) from URLs
+  const stem = data.page.filePathStem.replace(/\/index$/, "").replace(/\/([^/]+)\/\1$/, "/$1");
+  return `${stem}/`;
+}
+
+function normalizePath(pathname) {
+  const path = pathname.replace(/index\.html$/, "");
+  return path.endsWith("/") ? path : `${path}/`;
+}
+
+module.exports = function (eleventyConfig, options = {}) {
+  const origin = new URL(options.origin || "http://localhost").origin;
+  const includeDrafts = /^(1|true|yes)$/i.test(process.env.ELEVENTY_DRAFTS || "");
+  const draftUrls = new Map();
+  const draftInputs = new Set();
+
+  eleventyConfig.addGlobalData("eleventyComputed.draftStatus", () => getDraftStatus);
+
+  eleventyConfig.addGlobalData("eleventyComputed.permalink", () => (data) => {
+    const status = getDraftStatus(data);
+    if (!status) return data.permalink;
+    draftInputs.add(data.page.inputPath);
+    draftUrls.set(normalizePath(getIntendedUrl(data)), data.page.inputPath);
+    return includeDrafts ? data.permalink : false;
+  });
+
+  eleventyConfig.addGlobalData("eleventyComputed.eleventyExcludeFromCollections", () => (data) =>
+    (!includeDrafts && !!getDraftStatus(data)) || data.eleventyExcludeFromCollections
+  );
+
+  // A published page linking to a draft would 404 in production, so refuse to build it. Only checked
+  // when drafts are left out: with them included, the listings link to every draft by design.
+  eleventyConfig.addLinter("draft-links", function (content, inputPath, outputPath) {
+    if (includeDrafts || !outputPath || !outputPath.endsWith(".html") || draftInputs.has(inputPath) || !draftUrls.size) {
+      return;
+    }
+    const base = new URL(this.url || "/", origin);
+    const hrefRegex = /\shref="([^"#]+)[^"]*"/g;
+    let match;
+    while ((match = hrefRegex.exec(content)) !== null) {
+      let target;
+      try {
+        target = new URL(match[1], base);
+      } catch (e) {
+        continue;
+      }
+      if (target.origin !== origin) continue;
+      const draft = draftUrls.get(normalizePath(target.pathname));
+      if (draft) {
+        throw new Error(`${inputPath} links to ${target.pathname}, which is an unpublished draft (${draft})`);
+      }
+    }
+  });
+};
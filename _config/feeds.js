@@ -0,0 +1,65 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 for the whole blog and for every tag. All three formats paginate
+// over the same `feeds` collection and carry the full post HTML with absolute URLs.
+const pluginRss = require("@11ty/eleventy-plugin-rss");
+const { transformImages } = require("./images");
+const { stripMathHtml } = require("./math");
+
+module.exports = function (eleventyConfig, options = {}) {
+  const { getPosts, getPostTags } = options;
+  const origin = options.origin || "http://localhost";
+  const title = options.title || "";
+
+  eleventyConfig.addPlugin(pluginRss);
+
+  // { slug, title, path, posts } where `path` is the directory the feed files are written to
+  eleventyConfig.addCollection("feeds", (api) => {
+    const slugify = eleventyConfig.getFilter("slugify");
+    const posts = getPosts(api);
+    const feeds = [{ slug: "all", title, path: "/", posts }];
+    const byTag = new Map();
+    for (const post of posts) {
+      for (const tag of getPostTags(post)) {
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(post);
+      }
+    }
+    for (const [tag, tagged] of [...byTag].sort(([a], [b]) => a.localeCompare(b))) {
+      const slug = slugify(tag);
+      feeds.push({ slug, title: `${title}: #${tag}`, path: `/tags/${slug}/`, posts: tagged });
+    }
+    return feeds;
+  });
+
+  // Last time a post was edited, falling back to its date
+  eleventyConfig.addFilter("postUpdated", (post) => new Date(post.data.updated || post.date));
+
+  // Newest change across a feed; a feed with no posts yet counts as updated now rather than failing
+  eleventyConfig.addFilter("feedUpdated", (posts) => {
+    const times = (posts || []).map((post) => new Date(post.data.updated || post.date).getTime());
+    return times.length ? new Date(Math.max(...times)) : new Date();
+  });
+
+  // Full post body for feed readers: responsive images resolved, every URL made absolute. A post shows
+  // up in several feeds, so each body is only converted once per build.
+  const contentCache = new Map();
+  eleventyConfig.on("eleventy.before", () => contentCache.clear());
+  let dirs = {};
+  eleventyConfig.on("eleventy.directories", ({ input, output }) => {
+    dirs = { inputDir: input, outputDir: output };
+  });
+  eleventyConfig.addNunjucksAsyncFilter("feedContent", (post, callback) => {
+    if (!contentCache.has(post.inputPath)) {
+      const base = new URL(post.url, origin).href;
+      // Copy and Run buttons and embedded simulations do nothing without the site's scripts (a simulation
+      // keeps its caption), and KaTeX's HTML needs its stylesheet, which readers won't load; the MathML
+      // next to it renders on its own.
+      const html = stripMathHtml((post.templateContent || "")
+        .replace(/<button type="button" class="code-copy"[^>]*>[^<]*<\/button>/g, "")
+        .replace(/<div class="code-run-bar">[\s\S]*?<\/div><output class="code-output"[^>]*><\/output>/g, "")
+        .replace(/<canvas class="sim-embed-canvas"[^>]*><\/canvas><div class="sim-embed-controls">[\s\S]*?<\/div>/g, ""));
+      contentCache.set(post.inputPath, transformImages(html, post.inputPath, dirs)
+        .then((html) => pluginRss.convertHtmlToAbsoluteUrls(html, base, { closingSingleTag: "slash" })));
+    }
+    contentCache.get(post.inputPath).then((html) => callback(null, html), callback);
+  });
+};
@@ -0,0 +1,88 @@
+// Syntax highlighting happens entirely at build time through Prism. Code fences may only use the
+// configured languages (plus `diff-<lang>`), so a typo fails the build instead of shipping plain text.
+//
+//   ```rust/2,4-5 title="src/main.rs"    highlight lines 2 and 4-5 (counting from 0), caption with a filename
+//   ```rust/3/1                          mark line 3 as added and line 1 as removed
+//   ```diff-rust                         +/- prefixed lines rendered as a diff of Rust code
+//   ```js runnable                       editable in the page, with a Run button (see assets/runnable.js)
+//   ```wat runnable file="a.wasm" call="f(2)"   assembled in the browser; later runnable JS can fetch
+//                                        it as "a.wasm", and `call` runs an export after instantiating
+const syntaxHighlight = require("@11ty/eleventy-plugin-syntaxhighlight");
+
+// Grammars Prism doesn't ship: WAT is what Prism calls `wasm`, WIT is the component model's IDL
+function addCustomLanguages(Prism) {
+  Prism.languages.wat = Prism.languages.wasm;
+  Prism.languages.wit = {
+    comment: [
+      { pattern: /\/\*[\s\S]*?\*\//, greedy: true },
+      { pattern: /\/\/.*/, greedy: true },
+    ],
+    string: { pattern: /"(?:\\.|[^"\\])*"/, greedy: true },
+    namespace: /\b[a-z][\w-]*:[a-z][\w-]*(?:\/[\w-]+)?(?:@\d+\.\d+\.\d+[\w.-]*)?/,
+    function: /%?\b[a-z][\w-]*(?=\s*:\s*(?:static\s+)?func\b)/,
+    keyword: /\b(?:as|borrow|constructor|enum|export|flags|func|import|include|interface|own|package|record|resource|static|type|use|variant|with|world)\b/,
+    builtin: /\b(?:bool|char|f32|f64|future|list|option|result|s8|s16|s32|s64|stream|string|tuple|u8|u16|u32|u64)\b/,
+    operator: /->|=/,
+    punctuation: /[{}()<>[\],;:.@\/]/,
+  };
+}
+
+function escapeHtml(str) {
+  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// `name="value"` or `name=value` from a fence's info string
+function infoAttribute(info, name) {
+  const match = info.match(new RegExp(`\\b${name}=(?:"([^"]*)"|(\\S+))`));
+  return match ? match[1] ?? match[2] : null;
+}
+
+module.exports = function (eleventyConfig, options = {}) {
+  const languages = new Set(options.languages || ["text"]);
+  const runnable = new Set(options.runnable || []);
+  const prismLanguages = [...languages].filter((lang) => !["text", "wat", "wit"].includes(lang));
+
+  eleventyConfig.addPlugin(syntaxHighlight, {
+    languages: prismLanguages,
+    errorOnInvalidLanguage: true,
+    init: ({ Prism }) => addCustomLanguages(Prism),
+  });
+
+  // The in-browser WAT assembler for runnable blocks
+  if (runnable.has("wat")) {
+    eleventyConfig.addPassthroughCopy({ "node_modules/wabt/index.js": "assets/vendor/wabt.js" });
+  }
+
+  // Every fence becomes a <figure> holding an optional filename caption, a copy button and the <pre>;
+  // runnable ones also get a Run button and an output area
+  eleventyConfig.amendLibrary("md", (mdLib) => {
+    const renderFence = mdLib.renderer.rules.fence;
+    mdLib.renderer.rules.fence = (tokens, idx, mdOptions, env, self) => {
+      const token = tokens[idx];
+      const [lang = "", ...flags] = token.info.trim().split(/\s+/);
+      const name = lang.split("/")[0].replace(/^diff-/, "");
+      if (name && !languages.has(name)) {
+        throw new Error(`Code fence language "${name}" is not configured for highlighting (${[...languages].join(", ")})`);
+      }
+      const title = infoAttribute(token.info, "title");
+      const caption = title !== null ? `<figcaption class="code-title">${escapeHtml(title)}</figcaption>` : "";
+      const copy = `<button type="button" class="code-copy" aria-label="Copy code">Copy</button>`;
+      const code = renderFence(tokens, idx, mdOptions, env, self);
+      if (!flags.includes("runnable")) {
+        return `<figure class="code-block">${caption}${copy}${code}</figure>\n`;
+      }
+
+      if (!runnable.has(name)) {
+        throw new Error(`Code fence language "${name}" can't be runnable (${[...runnable].join(", ")})`);
+      }
+      const data = [["runnable", name], ["file", infoAttribute(token.info, "file")], ["call", infoAttribute(token.info, "call")]]
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => ` data-${key}="${escapeHtml(value)}"`)
+        .join("");
+      const controls = `<div class="code-run-bar"><button type="button" class="code-run">Run</button>`
+        + `<button type="button" class="code-reset" hidden>Reset</button></div>`;
+      const output = `<output class="code-output" aria-live="polite" hidden></output>`;
+      return `<figure class="code-block code-runnable"${data}>${caption}${copy}${code}${controls}${output}</figure>\n`;
+    };
+  });
+};
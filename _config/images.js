@@ -0,0 +1,73 @@
+// Local images in rendered pages become <picture> elements with AVIF and WebP variants at a few widths,
+// plus intrinsic width/height so nothing shifts while they lazy-load. Remote images are left alone.
+const path = require("path");
+const Image = require("@11ty/eleventy-img");
+
+const IMG_REGEX = /<img\s[^>]*>/g;
+const ATTR_REGEX = /([\w-]+)(?:="([^"]*)")?/g;
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const body = tag.replace(/^<img\s/, "").replace(/\/?>$/, "");
+  let match;
+  while ((match = ATTR_REGEX.exec(body)) !== null) {
+    attributes[match[1]] = match[2] ?? "";
+  }
+  return attributes;
+}
+
+function isLocal(src) {
+  return !!src && !/^([a-z]+:)?\/\//i.test(src) && !src.startsWith("data:");
+}
+
+// Swaps every local <img> in `content` for a <picture>; relative sources resolve against `inputPath`.
+async function transformImages(content, inputPath, options = {}) {
+  const inputDir = options.inputDir || "src";
+  const outputDir = options.outputDir || "_site";
+  const widths = options.widths || [480, 800, "auto"];
+  const sizes = options.sizes || "(min-width: 80ch) 80ch, 100vw";
+
+  const replacements = [];
+  for (const [tag] of content.matchAll(IMG_REGEX)) {
+    const { src, alt, ...rest } = parseAttributes(tag);
+    if (!isLocal(src)) continue;
+    if (!alt || !alt.trim()) {
+      throw new Error(`${inputPath}: image "${src}" has no alt text`);
+    }
+    const file = src.startsWith("/")
+      ? path.join(inputDir, src)
+      : path.join(path.dirname(inputPath), src);
+    const metadata = await Image(file, {
+      widths,
+      formats: ["avif", "webp", "auto"],
+      outputDir: path.join(outputDir, "img"),
+      urlPath: "/img/",
+    });
+    replacements.push([tag, Image.generateHTML(metadata, {
+      ...rest,
+      alt,
+      sizes,
+      loading: "lazy",
+      decoding: "async",
+    })]);
+  }
+
+  return replacements.reduce((html, [tag, picture]) => html.replace(tag, picture), content);
+}
+
+module.exports = function (eleventyConfig, options = {}) {
+  // Sources and variants follow the directories of the running build, `--output` included
+  let dirs = {};
+  eleventyConfig.on("eleventy.directories", ({ input, output }) => {
+    dirs = { inputDir: input, outputDir: output };
+  });
+
+  eleventyConfig.addTransform("responsive-images", async function (content) {
+    if (!this.outputPath || !this.outputPath.endsWith(".html")) {
+      return content;
+    }
+    return transformImages(content, this.inputPath, { ...dirs, ...options });
+  });
+};
+
+module.exports.transformImages = transformImages;
@@ -0,0 +1,63 @@
+// Markdown extensions for prose: footnotes, callouts and numbered figures.
+//
+//   Text.[^aside]            footnote reference; `[^aside]: ...` anywhere in the post holds the note
+//   ::: note Optional title  callout container (`note` or `warning`), closed by a line with `:::`
+//   ![Alt](./x.png "Title")  an image alone in its paragraph becomes a numbered <figure>, captioned by
+//                            its title or, without one, its alt text
+const markdownItFootnote = require("markdown-it-footnote");
+const markdownItContainer = require("markdown-it-container");
+
+const CALLOUTS = { note: "Note", warning: "Warning" };
+
+module.exports = function (eleventyConfig) {
+  eleventyConfig.amendLibrary("md", (mdLib) => {
+    const escapeHtml = mdLib.utils.escapeHtml;
+
+    mdLib.use(markdownItFootnote);
+    // "1" instead of "[1]", and a backlink screen readers can name
+    mdLib.renderer.rules.footnote_caption = (tokens, idx) => {
+      const { id, subId } = tokens[idx].meta;
+      return subId > 0 ? `${id + 1}:${subId}` : `${id + 1}`;
+    };
+    mdLib.renderer.rules.footnote_anchor = (tokens, idx, options, env, self) => {
+      let id = self.rules.footnote_anchor_name(tokens, idx, options, env, self);
+      if (tokens[idx].meta.subId > 0) id += `:${tokens[idx].meta.subId}`;
+      return ` <a href="#fnref${id}" class="footnote-backref" aria-label="Back to reference ${id}">↩︎</a>`;
+    };
+
+    for (const [name, label] of Object.entries(CALLOUTS)) {
+      mdLib.use(markdownItContainer, name, {
+        render(tokens, idx) {
+          const token = tokens[idx];
+          if (token.nesting !== 1) return "</aside>\n";
+          const title = token.info.trim().slice(name.length).trim() || label;
+          return `<aside class="callout callout-${name}" role="note">\n<p class="callout-title">${escapeHtml(title)}</p>\n`;
+        },
+      });
+    }
+
+    // Paragraphs holding nothing but one image turn into figures, numbered in document order
+    mdLib.core.ruler.push("figures", (state) => {
+      let count = 0;
+      const tokens = state.tokens;
+      for (let i = 0; i + 2 < tokens.length; i++) {
+        const [open, inline, close] = [tokens[i], tokens[i + 1], tokens[i + 2]];
+        if (open.type !== "paragraph_open" || open.hidden || close.type !== "paragraph_close") continue;
+        const children = inline.children.filter((child) => !(child.type === "text" && !child.content.trim()));
+        if (children.length !== 1 || children[0].type !== "image") continue;
+        const image = children[0];
+        count++;
+        open.type = "figure_open";
+        open.meta = { number: count };
+        close.type = "figure_close";
+        close.meta = { number: count, caption: image.attrGet("title") || image.content };
+      }
+    });
+
+    mdLib.renderer.rules.figure_open = (tokens, idx) => `<figure class="figure" id="figure-${tokens[idx].meta.number}">\n`;
+    mdLib.renderer.rules.figure_close = (tokens, idx) => {
+      const { number, caption } = tokens[idx].meta;
+      return `\n<figcaption><span class="figure-number">Figure ${number}.</span> ${escapeHtml(caption)}</figcaption>\n</figure>\n`;
+    };
+  });
+};
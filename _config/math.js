@@ -0,0 +1,182 @@
+// TeX math rendered by KaTeX while the markdown is built, so pages ship HTML+MathML and a stylesheet but
+// no math script. `$...$` is inline math and `$$...$$` (on lines of its own) is display math. A display
+// equation with `\label{name}` is numbered and gets the id `eq-name`; `$\eqref{name}$` in the prose
+// links to it by number. Bad TeX and references to missing labels fail the build. Posts go through
+// Nunjucks first, so TeX containing `{{`, `{%` or `{#` needs a `{% raw %}` block.
+const katex = require("katex");
+
+const LABEL = /\\label\{([^}]+)\}/;
+const REFERENCE = /^\s*\\(eq)?ref\{([^}]+)\}\s*$/;
+
+// Pages that contain math, so only they load the KaTeX stylesheet
+const inputsWithMath = new Set();
+
+const isWhitespace = (ch) => ch === " " || ch === "\t" || ch === "\n";
+
+function render(tex, displayMode, inputPath) {
+  try {
+    return katex.renderToString(tex, { displayMode, output: "htmlAndMathml", throwOnError: true, strict: "error" });
+  } catch (err) {
+    throw new Error(`${inputPath || "markdown"}: cannot typeset $${tex}$: ${err.message}`);
+  }
+}
+
+// `$...$` following pandoc's rules: no space just inside either dollar and no digit right after the
+// closing one. A dollar followed by a digit doesn't open math either, so prices like "$5 and $10" stay
+// text; math that starts with a number can be written `${2}^n$`. Math never runs into a code span.
+function mathInline(state, silent) {
+  const { src, pos, posMax } = state;
+  if (src[pos] !== "$" || src[pos + 1] === "$" || pos + 1 >= posMax) return false;
+  if (isWhitespace(src[pos + 1]) || /[0-9]/.test(src[pos + 1])) return false;
+  let end = pos + 1;
+  for (; end < posMax; end++) {
+    if (src[end] === "\\") {
+      end++;
+      continue;
+    }
+    if (src[end] === "`") return false;
+    // TeX has no use for a bare dollar inside inline math, so the first one has to close it
+    if (src[end] === "$") {
+      if (isWhitespace(src[end - 1]) || /[0-9]/.test(src[end + 1] || "")) return false;
+      break;
+    }
+  }
+  if (end >= posMax) return false;
+  if (!silent) {
+    const token = state.push("math_inline", "math", 0);
+    token.content = src.slice(pos + 1, end);
+    token.markup = "$";
+  }
+  state.pos = end + 1;
+  return true;
+}
+
+// `$$` ... `$$`, either on one line or with the delimiters on lines of their own
+function mathBlock(state, startLine, endLine, silent) {
+  let start = state.bMarks[startLine] + state.tShift[startLine];
+  let max = state.eMarks[startLine];
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+  if (!state.src.startsWith("$$", start)) return false;
+  if (silent) return true;
+
+  let firstLine = state.src.slice(start + 2, max);
+  let lastLine = "";
+  let nextLine = startLine;
+  let found = false;
+  if (firstLine.trim().endsWith("$$")) {
+    firstLine = firstLine.trim().slice(0, -2);
+    found = true;
+  }
+  while (!found) {
+    nextLine++;
+    if (nextLine >= endLine) break;
+    start = state.bMarks[nextLine] + state.tShift[nextLine];
+    max = state.eMarks[nextLine];
+    // Like LaTeX, display math can't span a blank line
+    if (start >= max || state.sCount[nextLine] < state.blkIndent) break;
+    if (state.src.slice(start, max).trim().endsWith("$$")) {
+      lastLine = state.src.slice(start, max).trim().slice(0, -2);
+      found = true;
+    }
+  }
+  if (!found) return false;
+
+  state.line = nextLine + 1;
+  const token = state.push("math_block", "math", 0);
+  token.block = true;
+  token.content = [firstLine, state.getLines(startLine + 1, nextLine, state.tShift[startLine], true), lastLine]
+    .filter((part) => part.trim())
+    .join("\n");
+  token.map = [startLine, state.line];
+  token.markup = "$$";
+  return true;
+}
+
+module.exports = function (eleventyConfig) {
+  eleventyConfig.addPassthroughCopy({
+    "node_modules/katex/dist/katex.min.css": "assets/katex/katex.min.css",
+    "node_modules/katex/dist/fonts/*.woff2": "assets/katex/fonts",
+  });
+
+  eleventyConfig.amendLibrary("md", (mdLib) => {
+    mdLib.inline.ruler.after("escape", "math_inline", mathInline);
+    mdLib.block.ruler.before("fence", "math_block", mathBlock, { alt: ["paragraph", "reference", "blockquote", "list"] });
+
+    // Numbers labelled equations in document order and resolves references to them
+    mdLib.core.ruler.push("math_numbers", (state) => {
+      const inputPath = state.env && state.env.page && state.env.page.inputPath;
+      const numbers = new Map();
+      let hasMath = false;
+      for (const token of state.tokens) {
+        if (token.type !== "math_block") continue;
+        hasMath = true;
+        const label = token.content.match(LABEL);
+        if (!label) continue;
+        if (numbers.has(label[1])) {
+          throw new Error(`${inputPath || "markdown"}: equation label "${label[1]}" is used twice`);
+        }
+        numbers.set(label[1], numbers.size + 1);
+        token.meta = { label: label[1], number: numbers.size };
+      }
+      for (const token of state.tokens) {
+        if (token.type !== "inline") continue;
+        for (const child of token.children) {
+          if (child.type !== "math_inline") continue;
+          hasMath = true;
+          const reference = child.content.match(REFERENCE);
+          if (!reference) continue;
+          if (!numbers.has(reference[2])) {
+            throw new Error(`${inputPath || "markdown"}: no equation is labelled "${reference[2]}"`);
+          }
+          child.type = "math_ref";
+          child.meta = { label: reference[2], number: numbers.get(reference[2]), parens: !!reference[1] };
+        }
+      }
+      if (!inputPath) return;
+      if (hasMath) inputsWithMath.add(inputPath);
+      else inputsWithMath.delete(inputPath);
+    });
+
+    mdLib.renderer.rules.math_inline = (tokens, idx, options, env) =>
+      render(tokens[idx].content, false, env.page && env.page.inputPath);
+
+    mdLib.renderer.rules.math_block = (tokens, idx, options, env) => {
+      const token = tokens[idx];
+      const inputPath = env.page && env.page.inputPath;
+      if (!token.meta) return `<div class="math-display">${render(token.content, true, inputPath)}</div>\n`;
+      const tex = token.content.replace(LABEL, `\\tag{${token.meta.number}}`);
+      return `<div class="math-display" id="eq-${mdLib.utils.escapeHtml(token.meta.label)}">${render(tex, true, inputPath)}</div>\n`;
+    };
+
+    mdLib.renderer.rules.math_ref = (tokens, idx) => {
+      const { label, number, parens } = tokens[idx].meta;
+      return `<a class="eq-ref" href="#eq-${mdLib.utils.escapeHtml(label)}">${parens ? `(${number})` : number}</a>`;
+    };
+  });
+
+  eleventyConfig.addFilter("hasMath", (inputPath) => inputsWithMath.has(inputPath));
+};
+
+// KaTeX's visual markup without the stylesheet, for places that only keep the MathML (feed readers)
+module.exports.stripMathHtml = (html) => {
+  const open = '<span class="katex-html" aria-hidden="true">';
+  let result = "";
+  let from = 0;
+  for (let start = html.indexOf(open); start !== -1; start = html.indexOf(open, from)) {
+    result += html.slice(from, start);
+    let depth = 0;
+    let at = start;
+    const tags = /<span\b|<\/span>/g;
+    tags.lastIndex = start;
+    let match;
+    while ((match = tags.exec(html)) !== null) {
+      depth += match[0] === "</span>" ? -1 : 1;
+      if (depth === 0) {
+        at = tags.lastIndex;
+        break;
+      }
+    }
+    from = at > start ? at : html.length;
+  }
+  return result + html.slice(from);
+};
@@ -0,0 +1,115 @@
+// Reading time, word count and last-updated date for posts, computed once from the markdown source so the
+// post header, the index and the feeds all show the same numbers.
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const PROSE_WORDS_PER_MINUTE = 230;
+// Code is read token by token, so it counts at half the speed of prose
+const CODE_WORDS_PER_MINUTE = 115;
+
+const FRONT_MATTER = /^---\r?\n[\s\S]*?\r?\n---\r?\n/;
+const FENCE = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1[ \t]*$/gm;
+const PROSE_WORD = /[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu;
+const CODE_WORD = /[\p{L}\p{N}_$]+/gu;
+
+const countMatches = (text, regex) => (text.match(regex) || []).length;
+
+// { words, codeWords, minutes } for a markdown file. `words` is the prose only; code blocks are counted
+// separately and only feed into the reading time.
+function measure(source) {
+  const body = source.replace(FRONT_MATTER, "");
+  let code = "";
+  const prose = body
+    .replace(FENCE, (block) => {
+      code += block.split("\n").slice(1, -1).join("\n") + "\n";
+      return " ";
+    })
+    .replace(/\{%[\s\S]*?%\}|\{\{[\s\S]*?\}\}/g, " ") // template tags
+    .replace(/<[^>]*>/g, " ")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1"); // keep link text, drop targets
+  const words = countMatches(prose, PROSE_WORD);
+  const codeWords = countMatches(code, CODE_WORD);
+  const minutes = words / PROSE_WORDS_PER_MINUTE + codeWords / CODE_WORDS_PER_MINUTE;
+  return { words, codeWords, minutes: Math.max(1, Math.round(minutes)) };
+}
+
+// A post as readers see it: front matter and code fence languages changing doesn't make it updated
+const contentOf = (source) => source.replace(FRONT_MATTER, "").replace(/^([ \t]*(?:`{3,}|~{3,}))[^\n]*$/gm, "$1");
+
+// Date of the last commit that changed what `file` says, or null outside git. Commits that only touch its
+// front matter or fence languages (tags, drafts, highlighting) are skipped. A shallow clone only knows
+// its newest commit, which would make every post look edited today, so its history is ignored.
+function createGitDates(cwd) {
+  const git = (...args) => execFileSync("git", args, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] });
+  let root = null;
+  return (file) => {
+    try {
+      if (root === null) {
+        root = git("rev-parse", "--is-shallow-repository").trim() === "false" ? git("rev-parse", "--show-toplevel").trim() : "";
+      }
+      if (!root) return null;
+      const relative = path.relative(root, file).split(path.sep).join("/");
+      const show = (rev) => {
+        try {
+          return contentOf(git("show", `${rev}:${relative}`));
+        } catch (e) {
+          return null;
+        }
+      };
+      for (const line of git("log", "--format=%H %cI", "--", file).trim().split("\n").filter(Boolean)) {
+        const [hash, iso] = line.split(" ");
+        if (show(hash) !== show(`${hash}^`)) return new Date(iso);
+      }
+      return null;
+    } catch (e) {
+      root = "";
+      return null;
+    }
+  };
+}
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+module.exports = function (eleventyConfig, options = {}) {
+  const postsDir = options.postsDir || "./src/posts/";
+  const isPost = (data) =>
+    !!data.page && data.page.inputPath.startsWith(postsDir) && data.page.inputPath.endsWith(".md");
+
+  // Computed data is evaluated more than once per page, so files are only read and git only asked once
+  // per build.
+  const stats = new Map();
+  const gitDates = new Map();
+  const gitDate = createGitDates(process.cwd());
+  eleventyConfig.on("eleventy.before", () => {
+    stats.clear();
+    gitDates.clear();
+  });
+
+  const getStats = (inputPath) => {
+    if (!stats.has(inputPath)) stats.set(inputPath, measure(fs.readFileSync(inputPath, "utf8")));
+    return stats.get(inputPath);
+  };
+
+  eleventyConfig.addGlobalData("eleventyComputed.wordCount", () => (data) =>
+    isPost(data) ? getStats(data.page.inputPath).words : data.wordCount
+  );
+
+  eleventyConfig.addGlobalData("eleventyComputed.readingTime", () => (data) =>
+    isPost(data) ? getStats(data.page.inputPath).minutes : data.readingTime
+  );
+
+  // `updated` from front matter wins; otherwise the last commit to the file, when that is a later day
+  // than the post's own date. `updated: false` opts a post out.
+  eleventyConfig.addGlobalData("eleventyComputed.updated", () => (data) => {
+    // An unset computed key reads as "" here
+    if (data.updated || data.updated === false || !isPost(data)) return data.updated || undefined;
+    const inputPath = data.page.inputPath;
+    if (!gitDates.has(inputPath)) gitDates.set(inputPath, gitDate(path.resolve(inputPath)));
+    const committed = gitDates.get(inputPath);
+    return committed && dayOf(committed) > dayOf(data.page.date) ? committed : undefined;
+  });
+
+  // 12345 -> "12,345"
+  eleventyConfig.addFilter("formatNumber", (value) => Number(value || 0).toLocaleString("en-US"));
+};
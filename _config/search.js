@@ -0,0 +1,75 @@
+// Build-time search index for the header search box. Every post is split into sections at its h2/h3
+// headings (the same headings the table of contents lists) so a hit can link straight to its anchor.
+// The client in /assets/search.js fetches the index from this site, nothing leaves the browser.
+const { stripMathHtml } = require("./math");
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+// Identifiers shorter than this are mostly loop counters and one-letter generics
+const MIN_IDENTIFIER_LENGTH = 3;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+const toText = (html) => decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+
+// Names that appear in code blocks and inline code, in first-seen order
+function extractIdentifiers(html) {
+  const identifiers = new Set();
+  for (const [, code] of html.matchAll(/<code[^>]*>([\s\S]*?)<\/code>/g)) {
+    for (const [name] of toText(code).matchAll(/[A-Za-z_$][\w$]*/g)) {
+      if (name.length >= MIN_IDENTIFIER_LENGTH) identifiers.add(name);
+    }
+  }
+  return [...identifiers];
+}
+
+// Prose of a chunk of post HTML, with code blocks and copy buttons left to `extractIdentifiers`. Math
+// counts once, by its MathML, and footnote numbers and backlinks are left out.
+const toBodyText = (html) =>
+  toText(stripMathHtml(html)
+    .replace(/<annotation\b[^>]*>[\s\S]*?<\/annotation>/g, " ")
+    .replace(/<sup class="footnote-ref">[\s\S]*?<\/sup>/g, "")
+    .replace(/<a [^>]*class="footnote-backref"[^>]*>[\s\S]*?<\/a>/g, " ")
+    .replace(/<pre[^>]*>[\s\S]*?<\/pre>/g, " ")
+    .replace(/<button[^>]*>[\s\S]*?<\/button>/g, " "));
+
+module.exports = function (eleventyConfig, options = {}) {
+  const { getHeadings } = options;
+
+  // { posts: [{ title, url, code, sections: [{ id, heading, text }] }] } as compact JSON. The first
+  // section holds the text before any heading and has no id.
+  eleventyConfig.addFilter("searchIndex", (posts) => {
+    const entries = (posts || []).map((post) => {
+      const html = post.templateContent || "";
+      const sections = [];
+      let start = 0;
+      let current = { id: "", heading: "" };
+      for (const heading of getHeadings(post.inputPath)) {
+        const open = html.indexOf(`<h${heading.level} id="${heading.id}"`, start);
+        if (open === -1) continue;
+        const close = html.indexOf(`</h${heading.level}>`, open);
+        sections.push({ ...current, text: toBodyText(html.slice(start, open)) });
+        current = { id: heading.id, heading: heading.text };
+        start = close + `</h${heading.level}>`.length;
+      }
+      sections.push({ ...current, text: toBodyText(html.slice(start)) });
+      return {
+        title: post.data.title || "",
+        url: post.url,
+        code: extractIdentifiers(html),
+        sections: sections.filter((section) => section.heading || section.text),
+      };
+    });
+    return JSON.stringify({ posts: entries });
+  });
+};
+
+module.exports.toText = toText;
@@ -0,0 +1,97 @@
+// Simulations embedded in posts, run by the background's engine (assets/game-of-life.js) on a canvas of
+// their own with play, step and reset controls. They start paused and stop rendering while scrolled out
+// of view (see assets/sim-embeds.js).
+//
+//   {% lifeSim pattern="gosperGliderGun", rule="B3/S23", size=64 %}   a pattern from assets/patterns
+//   {% antSim rule="RL" %}                                             one ant on an empty board
+//
+// Both also take `speed` (generations per second) and `title` (the caption, which otherwise describes
+// the simulation). Patterns and rules are checked here with the same parsers the page uses, so a typo
+// fails the build.
+const GOLCore = require("../src/assets/gol-core");
+const loadPatterns = require("../src/_data/patterns");
+
+const MIN_SIZE = 8;
+const MAX_SIZE = 256;
+// Generations per second. Embeds step at most 64 generations a frame (MAX_STEPS_PER_FRAME in
+// game-of-life.js), so this rate holds down to about 16 frames a second.
+const MAX_SPEED = 1000;
+
+const escapeHtml = (str) =>
+  String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Nunjucks passes keyword arguments as one trailing object
+const keywords = (args) => {
+  const last = args[args.length - 1];
+  return last && typeof last === "object" ? last : {};
+};
+
+function checkNumber(shortcode, name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${shortcode}: ${name} must be a whole number from ${min} to ${max}, got ${value}`);
+  }
+  return value;
+}
+
+function render({ mode, rule, pattern, size, speed, title, description }) {
+  const data = [["mode", mode], ["rule", rule], ["pattern", pattern], ["size", size], ["speed", speed]]
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ` data-${key}="${escapeHtml(value)}"`)
+    .join("");
+  return `<figure class="sim-embed"${data}>`
+    + `<canvas class="sim-embed-canvas" role="img" aria-label="${escapeHtml(description)}"></canvas>`
+    + `<div class="sim-embed-controls">`
+    + `<button type="button" class="sim-embed-button" data-sim-action="play">Play</button>`
+    + `<button type="button" class="sim-embed-button" data-sim-action="step">Step</button>`
+    + `<button type="button" class="sim-embed-button" data-sim-action="reset">Reset</button>`
+    + `<span class="sim-embed-status" aria-live="off"></span>`
+    + `</div>`
+    + `<figcaption>${escapeHtml(title || description)}</figcaption>`
+    + `</figure>`;
+}
+
+module.exports = function (eleventyConfig) {
+  const patterns = new Map(GOLCore.compilePatterns(loadPatterns()).map((pattern) => [pattern.name, pattern]));
+
+  eleventyConfig.addShortcode("lifeSim", function (...args) {
+    const options = keywords(args);
+    const pattern = patterns.get(options.pattern);
+    if (!pattern) {
+      throw new Error(`lifeSim: unknown pattern "${options.pattern}" (${[...patterns.keys()].join(", ")})`);
+    }
+    const ruleText = options.rule || (pattern.rule && pattern.rule.name) || "B3/S23";
+    const rule = GOLCore.parseLifeRule(ruleText);
+    if (!rule) throw new Error(`lifeSim: "${ruleText}" is not a B/S or Generations rule`);
+    const size = checkNumber("lifeSim", "size", options.size ?? 64, MIN_SIZE, MAX_SIZE);
+    if (pattern.width > size || pattern.height > size) {
+      throw new Error(`lifeSim: ${options.pattern} is ${pattern.width}×${pattern.height} and doesn't fit a board of ${size}`);
+    }
+    return render({
+      mode: rule.states > 2 ? "generations" : "life",
+      rule: rule.name,
+      pattern: pattern.name,
+      size,
+      speed: checkNumber("lifeSim", "speed", options.speed ?? 10, 1, MAX_SPEED),
+      title: options.title,
+      description: `${pattern.meta.name || pattern.name} under ${rule.name} on a board of ${size}×${size} cells`,
+    });
+  });
+
+  eleventyConfig.addShortcode("antSim", function (...args) {
+    const options = keywords(args);
+    const ruleText = options.rule || "RL";
+    const rule = GOLCore.parseTurmiteRule(ruleText);
+    if (!rule) throw new Error(`antSim: "${ruleText}" is not a turn string or turmite table`);
+    const size = checkNumber("antSim", "size", options.size ?? 96, MIN_SIZE, MAX_SIZE);
+    // The classic ant has a mode of its own; every other turn string or table is a turmite
+    const classic = rule.name === "RL";
+    return render({
+      mode: classic ? "ant" : "turmite",
+      rule: classic ? undefined : rule.name,
+      size,
+      speed: checkNumber("antSim", "speed", options.speed ?? 100, 1, MAX_SPEED),
+      title: options.title,
+      description: `${classic ? "Langton's ant" : `Turmite ${rule.name}`}, starting alone on a board of ${size}×${size} cells`,
+    });
+  });
+};
@@ -0,0 +1,23 @@
+// What crawlers get told about the site: the pages listed in sitemap.xml, and the stub pages left at
+// old URLs by the redirect map in src/_data/redirects.json.
+
+module.exports = function (eleventyConfig) {
+  // Published HTML pages in URL order. Feeds, the search index and redirect stubs stay out of
+  // collections already; drafts (only there with ELEVENTY_DRAFTS) and `sitemap: false` pages are dropped.
+  eleventyConfig.addFilter("sitemapPages", (pages) =>
+    (pages || [])
+      .filter((page) => page.url && page.url.endsWith("/") && !page.data.draftStatus && page.data.sitemap !== false)
+      .sort((a, b) => a.url.localeCompare(b.url))
+  );
+
+  // Checks a redirect target before a stub is written for it. Local targets must be pages this build
+  // produces, so a renamed or unpublished post can't leave a redirect pointing nowhere.
+  eleventyConfig.addFilter("redirectTarget", (to, pages, from) => {
+    if (/^([a-z]+:)?\/\//i.test(to)) return to;
+    const target = new URL(to, "http://localhost").pathname;
+    if (!(pages || []).some((page) => page.url === target)) {
+      throw new Error(`redirects.json: ${from} points to ${to}, which is not a published page`);
+    }
+    return to;
+  });
+};
@@ -0,0 +1,80 @@
+// Open Graph cards for posts: the title and date drawn onto a 1200x630 PNG at build time, styled like
+// the dark theme with a glider in the corner. Cards are named by a hash of what is drawn on them, so
+// an unchanged post reuses the one from the previous build.
+const path = require("path");
+const Image = require("@11ty/eleventy-img");
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MARGIN = 80;
+const TITLE_SIZE = 64;
+const TITLE_LINE_HEIGHT = 80;
+const MAX_TITLE_LINES = 4;
+// Monospace advance is about 0.6em
+const TITLE_CHARS_PER_LINE = Math.floor((WIDTH - MARGIN * 2) / (TITLE_SIZE * 0.6));
+const COLORS = { bg: "#0b0c0e", fg: "#ffffff", muted: "#9aa0a6", accent: "#2ecc71", edge: "#1b1e22" };
+const GLIDER = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+const CELL = 28;
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" })[c]);
+
+// Greedy word wrap; the last line gets an ellipsis when the title doesn't fit
+function wrapTitle(title) {
+  const lines = [];
+  let line = "";
+  for (const word of title.split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length > TITLE_CHARS_PER_LINE && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > MAX_TITLE_LINES) {
+    lines.length = MAX_TITLE_LINES;
+    lines[MAX_TITLE_LINES - 1] = lines[MAX_TITLE_LINES - 1].slice(0, TITLE_CHARS_PER_LINE - 1) + "…";
+  }
+  return lines;
+}
+
+function renderCard({ title, subtitle, siteTitle }) {
+  const lines = wrapTitle(title);
+  const titleTop = (HEIGHT - lines.length * TITLE_LINE_HEIGHT) / 2 + TITLE_SIZE * 0.6;
+  const glider = GLIDER.map(([x, y]) =>
+    `<rect x="${WIDTH - MARGIN - (3 - x) * CELL}" y="${MARGIN + y * CELL}" width="${CELL - 4}" height="${CELL - 4}" fill="${COLORS.accent}"/>`
+  ).join("");
+  const titleLines = lines.map((line, i) =>
+    `<text x="${MARGIN}" y="${titleTop + i * TITLE_LINE_HEIGHT}" font-size="${TITLE_SIZE}" font-weight="700" fill="${COLORS.fg}">${escapeXml(line)}</text>`
+  ).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="'JetBrains Mono', 'Fira Code', monospace">`
+    + `<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.bg}"/>`
+    + `<rect x="16" y="16" width="${WIDTH - 32}" height="${HEIGHT - 32}" fill="none" stroke="${COLORS.edge}" stroke-width="4"/>`
+    + glider
+    + `<text x="${MARGIN}" y="${MARGIN + 24}" font-size="32" fill="${COLORS.accent}">$ ${escapeXml(siteTitle)}</text>`
+    + titleLines
+    + `<text x="${MARGIN}" y="${HEIGHT - MARGIN}" font-size="32" fill="${COLORS.muted}">${escapeXml(subtitle)}</text>`
+    + "</svg>";
+}
+
+module.exports = function (eleventyConfig, options = {}) {
+  const siteTitle = options.title || "";
+  // Cards are written under whatever output directory this build uses, `--output` included
+  let outputDir = options.outputDir;
+  eleventyConfig.on("eleventy.directories", (dirs) => {
+    outputDir = options.outputDir || dirs.output;
+  });
+
+  // URL path of the card for a post; `subtitle` is usually its readable date
+  eleventyConfig.addNunjucksAsyncFilter("ogImage", (title, subtitle, callback) => {
+    const svg = renderCard({ title: title || siteTitle, subtitle: subtitle || "", siteTitle });
+    Image(Buffer.from(svg), {
+      widths: [WIDTH],
+      formats: ["png"],
+      outputDir: path.join(outputDir, "og"),
+      urlPath: "/og/",
+    }).then((metadata) => callback(null, metadata.png[0].url), callback);
+  });
+};
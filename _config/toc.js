@@ -0,0 +1,89 @@
+// Heading anchors and the table of contents. markdown-it-anchor gives every heading in `levels` an id and
+// a self-link; a core rule that runs right after it records those headings from the token stream, so
+// the TOC never has to guess at the rendered HTML. Posts opt out with `toc: false` and can show fewer
+// levels with `tocDepth`.
+const markdownItAnchor = require("markdown-it-anchor");
+const { stripMathHtml } = require("./math");
+const { toText } = require("./search");
+
+// inputPath -> [{ level, id, text, html }] for every markdown page rendered this build. A page's content
+// is always rendered before its layout (and before anything reading its templateContent) asks for it.
+const headingsByInput = new Map();
+
+// Plain text plus the heading's own inline HTML, minus links (its self-link included, since a TOC entry is
+// a link already) and footnote references. In the text, math is its TeX source.
+function headingContent(mdLib, children, env) {
+  const html = mdLib.renderer.renderInline(children, mdLib.options, env)
+    .replace(/<sup class="footnote-ref">[\s\S]*?<\/sup>/g, "")
+    .replace(/<\/?a\b[^>]*>/g, "")
+    .trim();
+  const text = toText(stripMathHtml(html)
+    .replace(/<math\b[\s\S]*?<annotation\b[^>]*>([\s\S]*?)<\/annotation>[\s\S]*?<\/math>/g, "$1"));
+  return { text, html };
+}
+
+// Flat headings -> nested nodes. A heading that skips a level (h2 then h4) nests under the closest
+// shallower heading instead of inventing empty parents.
+function buildTree(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  for (const heading of headings) {
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    const node = { ...heading, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+  return root.children;
+}
+
+function renderTree(nodes) {
+  if (!nodes.length) return "";
+  let html = '<ul class="toc-list">';
+  for (const node of nodes) {
+    html += `<li class="toc-item toc-level-${node.level}">`;
+    html += `<a href="#${node.id}">${node.html}</a>`;
+    html += renderTree(node.children);
+    html += "</li>";
+  }
+  return html + "</ul>";
+}
+
+module.exports = function (eleventyConfig, options = {}) {
+  const levels = options.levels || [2, 3];
+  const depth = options.depth || levels.length;
+
+  eleventyConfig.amendLibrary("md", (mdLib) => {
+    mdLib.use(markdownItAnchor, {
+      permalink: markdownItAnchor.permalink.headerLink({
+        safariReaderFix: true,
+      }),
+      level: levels,
+      slugify: eleventyConfig.getFilter("slugify"),
+    });
+
+    mdLib.core.ruler.after("anchor", "toc-headings", (state) => {
+      const inputPath = state.env && state.env.page && state.env.page.inputPath;
+      if (!inputPath) return;
+      const headings = [];
+      state.tokens.forEach((token, i) => {
+        if (token.type !== "heading_open") return;
+        const id = token.attrGet("id");
+        const level = Number(token.tag.slice(1));
+        if (!id || !levels.includes(level)) return;
+        headings.push({ level, id, ...headingContent(mdLib, state.tokens[i + 1].children, state.env) });
+      });
+      headingsByInput.set(inputPath, headings);
+    });
+  });
+
+  // Nested TOC list for a page, or "" when it has nothing to list. `maxDepth` counts heading levels
+  // from the top one, so 1 lists only h2s.
+  eleventyConfig.addFilter("toc", (inputPath, maxDepth) => {
+    const limit = Math.min(Number(maxDepth) || depth, levels.length);
+    const allowed = new Set(levels.slice(0, limit));
+    return renderTree(buildTree(module.exports.getHeadings(inputPath).filter((h) => allowed.has(h.level))));
+  });
+};
+
+// Anchored headings of a rendered markdown page, in document order
+module.exports.getHeadings = (inputPath) => headingsByInput.get(inputPath) || [];
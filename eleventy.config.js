@@ -1,19 +1,96 @@
-const syntaxHighlight = require("@11ty/eleventy-plugin-syntaxhighlight");
-const markdownItAnchor = require("markdown-it-anchor");
+const diagrams = require("./_config/diagrams");
+const drafts = require("./_config/drafts");
+const images = require("./_config/images");
+const markdown = require("./_config/markdown");
+const math = require("./_config/math");
+const postMeta = require("./_config/post-meta");
+const feeds = require("./_config/feeds");
+const highlight = require("./_config/highlight");
+const search = require("./_config/search");
+const simulations = require("./_config/simulations");
+const sitemap = require("./_config/sitemap");
+const social = require("./_config/social");
+const toc = require("./_config/toc");
+const site = require("./src/_data/site.json");
 
 const MONTHS = [
   "January", "February", "March", "April", "May", "June",
   "July", "August", "September", "October", "November", "December"
 ];
 
+// Where the site is published; absolute URLs all point here, like the templates' canonicalOrigin
+const canonicalOrigin = site.canonicalUrl || site.url;
+
+// Tags that name collections of their own rather than topics
+const RESERVED_TAGS = new Set(["all", "posts"]);
+
+const getPosts = (api) =>
+  api.getFilteredByGlob("src/posts/**/*.md").sort((a, b) => b.date - a.date);
+
+const getPostTags = (post) =>
+  [].concat(post.data.tags || []).filter((tag) => !RESERVED_TAGS.has(tag));
+
 module.exports = function(eleventyConfig) {
   eleventyConfig.addPassthroughCopy("src/assets");
+  // Originals stay next to their posts for anything linking to them; <img> tags get resized copies
   eleventyConfig.addPassthroughCopy("src/posts/**/images/**");
   eleventyConfig.addPassthroughCopy("atlas.png");
-  eleventyConfig.addCollection("posts", (api) =>
-    api.getFilteredByGlob("src/posts/**/*.md").sort((a, b) => b.date - a.date)
-  );
-  eleventyConfig.addPlugin(syntaxHighlight);
+  eleventyConfig.addPlugin(drafts, { origin: canonicalOrigin });
+  eleventyConfig.addPlugin(images);
+  eleventyConfig.addPlugin(postMeta, { postsDir: "./src/posts/" });
+  eleventyConfig.addPlugin(feeds, { origin: canonicalOrigin, title: site.title, getPosts, getPostTags });
+  eleventyConfig.addPlugin(social, { title: site.title });
+  eleventyConfig.addPlugin(sitemap);
+  eleventyConfig.addCollection("posts", getPosts);
+
+  // Every topic tag in use, alphabetically, for the /tags/<tag>/ pages
+  eleventyConfig.addCollection("tagList", (api) => {
+    const tags = new Set();
+    for (const post of getPosts(api)) {
+      getPostTags(post).forEach((tag) => tags.add(tag));
+    }
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  });
+
+  // Tag -> posts, newest first like the posts collection
+  eleventyConfig.addCollection("postsByTag", (api) => {
+    const byTag = {};
+    for (const post of getPosts(api)) {
+      for (const tag of getPostTags(post)) {
+        (byTag[tag] = byTag[tag] || []).push(post);
+      }
+    }
+    return byTag;
+  });
+
+  // One entry per series, parts ordered by `seriesOrder` and then by date
+  eleventyConfig.addCollection("series", (api) => {
+    const byName = new Map();
+    for (const post of getPosts(api)) {
+      const name = post.data.series;
+      if (!name) continue;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(post);
+    }
+    const slugify = eleventyConfig.getFilter("slugify");
+    return [...byName].map(([name, posts]) => ({
+      name,
+      slug: slugify(name),
+      posts: posts.sort((a, b) =>
+        (a.data.seriesOrder ?? Infinity) - (b.data.seriesOrder ?? Infinity) || a.date - b.date
+      ),
+    }));
+  });
+  eleventyConfig.addPlugin(highlight, {
+    languages: ["bash", "c", "cpp", "cs", "diff", "go", "js", "lisp", "python", "rust", "text", "ts", "wasm", "wat", "wit"],
+    runnable: ["js", "wat"],
+  });
+  eleventyConfig.addPlugin(toc, { levels: [2, 3] });
+  eleventyConfig.addPlugin(math);
+  eleventyConfig.addPlugin(diagrams);
+  eleventyConfig.addPlugin(markdown);
+  eleventyConfig.addPlugin(search, { getHeadings: toc.getHeadings });
+  eleventyConfig.addPlugin(simulations);
 
   // Deterministic date formatting, e.g. "May 20, 2026"
   eleventyConfig.addFilter("readableDate", (dateObj) => {
@@ -21,50 +98,33 @@ module.exports = function(eleventyConfig) {
     return `${MONTHS[d.getUTCMonth()]} ${d.getUTCDate()}, ${d.getUTCFullYear()}`;
   });
   
-  // Add custom filter to extract TOC from content
-  eleventyConfig.addFilter("tocExtract", (content) => {
-    if (!content) return "";
-    
-    const headings = [];
-    // Match h2 and h3 tags with IDs - text is inside <span> within the anchor link
-    // Use a single regex to capture both levels and preserve document order
-    const headingRegex = /<(h[23])[^>]*id="([^"]+)"[^>]*><a[^>]*class="header-anchor"[^>]*><span>(.*?)<\/span><\/a><\/\1>/g;
-    
-    let match;
-    
-    // Extract all headings in document order
-    while ((match = headingRegex.exec(content)) !== null) {
-      headings.push({
-        level: match[1] === 'h2' ? 2 : 3,
-        id: match[2],
-        text: match[3].trim().replace(/<[^>]*>/g, '') // Strip any remaining HTML tags
-      });
-    }
-    
-    // Generate TOC HTML
-    if (headings.length === 0) return "";
-    
-    let html = '<ul class="toc-list">';
-    for (const heading of headings) {
-      html += `<li class="toc-item toc-level-${heading.level}">`;
-      html += `<a href="#${heading.id}">${heading.text}</a>`;
-      html += '</li>';
+  // Topic tags of a page, without the ones that only exist to build collections
+  eleventyConfig.addFilter("postTags", (tags) =>
+    [].concat(tags || []).filter((tag) => !RESERVED_TAGS.has(tag))
+  );
+
+  // Where a page sits in its series: { name, slug, part, total, previous, next }, or null
+  eleventyConfig.addFilter("seriesNav", (seriesList, url) => {
+    for (const series of seriesList || []) {
+      const index = series.posts.findIndex((post) => post.url === url);
+      if (index === -1) continue;
+      return {
+        name: series.name,
+        slug: series.slug,
+        part: index + 1,
+        total: series.posts.length,
+        previous: series.posts[index - 1] || null,
+        next: series.posts[index + 1] || null,
+      };
     }
-    html += '</ul>';
-    
-    return html;
-  });
-  
-  // Configure markdown-it with anchor plugin for TOC
-  eleventyConfig.amendLibrary("md", (mdLib) => {
-    mdLib.use(markdownItAnchor, {
-      permalink: markdownItAnchor.permalink.headerLink({
-        safariReaderFix: true,
-      }),
-      level: [2, 3], // Only h2 and h3
-      slugify: eleventyConfig.getFilter("slugify")
-    });
+    return null;
   });
+
+  // JSON that is safe to drop inside a <script> element
+  eleventyConfig.addFilter("jsonScript", (value) =>
+    JSON.stringify(value).replace(/</g, "\\u003c")
+  );
+
   return {
     dir: { 
       input: "src", 
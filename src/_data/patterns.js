@@ -0,0 +1,29 @@
+const fs = require("fs");
+const path = require("path");
+
+const PATTERN_DIR = path.join(__dirname, "..", "assets", "patterns");
+
+const FORMATS = {
+  ".rle": "rle",
+  ".cells": "cells",
+  ".lif": "life",
+  ".life": "life"
+};
+
+// Seed patterns for the background simulation, inlined into every page by base.njk.
+// Each manifest entry names a pattern file plus how often to scatter it; an optional
+// "rule" overrides whatever the file itself declares.
+module.exports = function() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(PATTERN_DIR, "manifest.json"), "utf8"));
+  return manifest.map((entry) => {
+    const format = FORMATS[path.extname(entry.file).toLowerCase()];
+    if (!format) {
+      throw new Error(`Unsupported pattern format: ${entry.file}`);
+    }
+    return {
+      ...entry,
+      format,
+      text: fs.readFileSync(path.join(PATTERN_DIR, entry.file), "utf8")
+    };
+  });
+};
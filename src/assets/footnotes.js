@@ -0,0 +1,71 @@
+(function () {
+  const refs = document.querySelectorAll('.footnote-ref a[href^="#fn"]');
+  if (!refs.length) return;
+
+  // Pointer and focus previews only; on touch a tap still jumps to the note and its backlink returns.
+  const HIDE_DELAY_MS = 200;
+  const OFFSET_PX = 8;
+
+  const preview = document.createElement('div');
+  preview.className = 'footnote-preview';
+  preview.id = 'footnote-preview';
+  preview.setAttribute('role', 'tooltip');
+  preview.hidden = true;
+  document.body.appendChild(preview);
+
+  let hideTimer = 0;
+  let current = null;
+
+  const noteFor = (link) => document.getElementById(decodeURIComponent(link.hash.slice(1)));
+
+  const show = (link) => {
+    const note = noteFor(link);
+    if (!note) return;
+    window.clearTimeout(hideTimer);
+    if (current !== link) {
+      const content = note.cloneNode(true);
+      content.querySelectorAll('.footnote-backref').forEach((backref) => backref.remove());
+      content.querySelectorAll('[id]').forEach((el) => el.removeAttribute('id'));
+      preview.innerHTML = content.innerHTML;
+      if (current) current.removeAttribute('aria-describedby');
+      current = link;
+      link.setAttribute('aria-describedby', preview.id);
+    }
+    preview.hidden = false;
+
+    // Below the reference, flipped above it when there is no room, and kept inside the viewport.
+    const rect = link.getBoundingClientRect();
+    const width = preview.offsetWidth;
+    const height = preview.offsetHeight;
+    const left = Math.min(Math.max(OFFSET_PX, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - OFFSET_PX);
+    const below = rect.bottom + OFFSET_PX;
+    const top = below + height > window.innerHeight ? rect.top - height - OFFSET_PX : below;
+    preview.style.left = `${Math.max(OFFSET_PX, left) + window.scrollX}px`;
+    preview.style.top = `${Math.max(OFFSET_PX, top) + window.scrollY}px`;
+  };
+
+  const hide = () => {
+    window.clearTimeout(hideTimer);
+    hideTimer = window.setTimeout(() => {
+      preview.hidden = true;
+    }, HIDE_DELAY_MS);
+  };
+
+  refs.forEach((link) => {
+    link.addEventListener('mouseenter', () => show(link));
+    link.addEventListener('mouseleave', hide);
+    link.addEventListener('focus', () => show(link));
+    link.addEventListener('blur', hide);
+  });
+
+  // The preview stays up while the pointer is over it, so links inside it can be clicked.
+  preview.addEventListener('mouseenter', () => window.clearTimeout(hideTimer));
+  preview.addEventListener('mouseleave', hide);
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !preview.hidden) {
+      window.clearTimeout(hideTimer);
+      preview.hidden = true;
+    }
+  });
+})();
@@ -1,21 +1,63 @@
 (function () {
   const canvas = document.getElementById('background');
-  if (!canvas) return;
+  if (!canvas || !window.GOLCore) return;
+
+  const {
+    MAX_TURMITE_COLORS,
+    MAX_TURMITE_STATES,
+    SeedWriter,
+    encodeDir,
+    parseLifeRule,
+    parseTurmiteRule,
+    parsePattern,
+    compilePatterns,
+    createRandom,
+    parseSeed,
+    randomInt,
+    seedLifeBoard,
+    seedAntBoard,
+    seedGenerationsBoard,
+    seedTurmiteBoard,
+    boardToStates,
+    createCpuSimulation,
+    encodeRle,
+  } = window.GOLCore;
 
   const DESKTOP_GRID_SIZE = 200;
   const MOBILE_MAX_WIDTH = 768;
   const MOBILE_MIN_GRID_SIZE = 90;
   const MOBILE_MAX_GRID_SIZE = 150;
   const MOBILE_TARGET_CELL_PX = 5;
-  const MODES = ['life', 'ant'];
+  const MODES = ['life', 'ant', 'generations', 'turmite'];
+  // Generations a simulation catches up on in one frame; past this a stepMs too short for the frame rate
+  // just runs slower (64 at 60fps is 3840 generations a second).
+  const MAX_STEPS_PER_FRAME = 64;
+  const DEFAULT_MODE_RULES = { life: 'B3/S23', generations: 'B2/S/C3', turmite: 'LLRR' };
 
   let running = false;
-  let rafId = 0;
   let cleanupFn = null;
   let currentMode = 'life';
   let startToken = 0;
   let activeGridSize = 0;
   let resizeTimer = 0;
+  let activeInstance = null;
+  // The active instance's simulation, which drawing, export and pattern loading work on
+  let activeSim = null;
+  let drawingEnabled = false;
+  let pointerState = null;
+  const modeRules = { ...DEFAULT_MODE_RULES };
+  let seedOverride = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+  let activeSeed = null;
+  // Set before first paint by base.njk from the saved sim-toggle choice or prefers-reduced-motion.
+  let paused = isInitiallyPaused();
+
+  function isInitiallyPaused() {
+    const state = document.documentElement.getAttribute('data-sim-state');
+    if (state) {
+      return state === 'paused';
+    }
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
 
   function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
@@ -132,50 +174,6 @@
     gl_Position = vec4(position, 0.0, 1.0);
   }`;
 
-  class SeedWriter {
-    constructor(size, channels = 4) {
-      this.size = size;
-      this.channels = channels;
-      this.data = new Uint8Array(size * size * channels);
-    }
-    inBounds(x, y) {
-      return x >= 0 && x < this.size && y >= 0 && y < this.size;
-    }
-    index(x, y) {
-      return (y * this.size + x) * this.channels;
-    }
-    setChannel(x, y, channel, value) {
-      if (!this.inBounds(x, y)) return false;
-      this.data[this.index(x, y) + channel] = value;
-      return true;
-    }
-    getChannel(x, y, channel = 0) {
-      if (!this.inBounds(x, y)) return 0;
-      return this.data[this.index(x, y) + channel];
-    }
-    fillChannel(channel, value) {
-      const { data, channels } = this;
-      for (let i = channel; i < data.length; i += channels) {
-        data[i] = value;
-      }
-    }
-    setRgb(x, y, r = 255, g = 255, b = 255) {
-      if (!this.inBounds(x, y)) return false;
-      const idx = this.index(x, y);
-      this.data[idx] = r;
-      this.data[idx + 1] = g;
-      this.data[idx + 2] = b;
-      return true;
-    }
-    clearRgb(x, y) {
-      return this.setRgb(x, y, 0, 0, 0);
-    }
-    isEmpty(x, y) {
-      if (!this.inBounds(x, y)) return false;
-      return this.data[this.index(x, y)] === 0;
-    }
-  }
-
   function applyTextureDefaults(gl) {
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
@@ -233,146 +231,134 @@
       buffers.forEach((buffer) => buffer && gl.deleteBuffer(buffer));
     } catch (e) {}
   }
-  const LIFE_PATTERN_SOURCES = [
-    {
-      name: 'glider',
-      minCount: 4,
-      maxCount: 7,
-      padding: 6,
-      rle: '#N Glider\n#O Richard K. Guy\n#C The smallest, most common, and first discovered spaceship. Diagonal, has period 4 and speed c/4.\n#C www.conwaylife.com/wiki/index.php?title=Glider\nx = 3, y = 3, rule = B3/S23\nbob$2bo$3o!',
-    },
-    {
-      name: 'gosperGliderGun',
-      minCount: 1,
-      maxCount: 1,
-      padding: 10,
-      rle: '#N Gosper glider gun\n#O Bill Gosper\n#C A true period 30 glider gun.\n#C The first known gun and the first known finite pattern with unbounded growth.\n#C www.conwaylife.com/wiki/index.php?title=Gosper_glider_gun\nx = 36, y = 9, rule = B3/S23\n24bo11b$22bobo11b$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o14b$2o8bo3bob2o4bobo11b$10bo5bo7bo11b$11bo3bo20b$12b2o!',
-    },
-    {
-      name: 'puffer1',
-      minCount: 1,
-      maxCount: 1,
-      padding: 10,
-      rle: '#N Puffer 1\n#O Bill Gosper\n#C An orthogonal, period-128 puffer and the first puffer to be discovered\n#C red\n#C http://www.conwaylife.com/wiki/index.php?title=Puffer_1\nx = 27, y = 7, rule = b3/s23\nb3o6bo5bo6b3ob$o2bo5b3o3b3o5bo2bo$3bo4b2obo3bob2o4bo3b$3bo19bo3b$3bo2bo13bo2bo3b$3bo2b2o11b2o2bo3b$2bo3b2o11b2o3bo!',
-    },
-    {
-      name: 'rPentomino',
-      minCount: 2,
-      maxCount: 4,
-      padding: 4,
-      rle: '#N R-pentomino\n#C A methuselah with lifespan 1103.\n#C www.conwaylife.com/wiki/index.php?title=R-pentomino\nx = 3, y = 3, rule = B3/S23\nb2o$2ob$bo!',
-    },
-  ];
-
-  function parseLifeRle(rle) {
-    const lines = rle.split(/\r?\n/);
-    let dataStarted = false;
-    const dataParts = [];
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) {
-        continue;
-      }
-      if (!dataStarted) {
-        if (/^x\s*=\s*/i.test(line)) {
-          dataStarted = true;
-        }
-        continue;
-      }
-      dataParts.push(line);
-    }
-    const raw = dataParts.join('').replace(/\s+/g, '');
-    const cells = [];
-    let x = 0;
-    let y = 0;
-    let count = '';
-    for (let i = 0; i < raw.length; i++) {
-      const ch = raw[i];
-      if (ch >= '0' && ch <= '9') {
-        count += ch;
-        continue;
-      }
-      const run = count ? parseInt(count, 10) : 1;
-      count = '';
-      if (ch === 'o' || ch === 'O') {
-        for (let k = 0; k < run; k++) {
-          cells.push([x + k, y]);
-        }
-        x += run;
-      } else if (ch === 'b' || ch === 'B') {
-        x += run;
-      } else if (ch === '$') {
-        y += run;
-        x = 0;
-      } else if (ch === '!') {
-        break;
-      }
-    }
-    let width = 0;
-    let height = 0;
-    for (let i = 0; i < cells.length; i++) {
-      const cx = cells[i][0];
-      const cy = cells[i][1];
-      if (cx + 1 > width) {
-        width = cx + 1;
-      }
-      if (cy + 1 > height) {
-        height = cy + 1;
-      }
-    }
-    return { cells, width, height };
+  // Reads back a block of RGBA8 texels from a simulation framebuffer, bottom row first.
+  function readRegion(gl, fbo, x, y, width, height) {
+    const out = new Uint8Array(width * height * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.framebuffer);
+    gl.readPixels(x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, out);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return out;
   }
 
-  function transformLifePattern(pattern, rotation, mirror) {
-    const rot = rotation & 3;
-    const w = pattern.width;
-    const h = pattern.height;
-    const transformed = new Array(pattern.cells.length);
+  function readCell(gl, fbo, x, y) {
+    return readRegion(gl, fbo, x, y, 1, 1);
+  }
+
+  // Decodes the whole board into one state byte per cell, rows top-down like a pattern file.
+  function readStates(gl, fbo, n, decode) {
+    return boardToStates(readRegion(gl, fbo, 0, 0, n, n), n, decode);
+  }
+
+  function writeCell(gl, fbo, x, y, rgba) {
+    gl.bindTexture(gl.TEXTURE_2D, fbo.attachments[0]);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, rgba);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  // Uploads a pattern into the current state texture in one call, replacing its bounding box.
+  // `encode(state)` maps a pattern state (0 = dead) to the texel the mode's shaders expect.
+  function stampRegion(gl, fbo, n, pattern, originX, originY, encode) {
+    const x0 = Math.max(0, originX);
+    const y0 = Math.max(0, originY);
+    const x1 = Math.min(n, originX + pattern.width);
+    const y1 = Math.min(n, originY + pattern.height);
+    if (x1 <= x0 || y1 <= y0) {
+      return false;
+    }
+    const w = x1 - x0;
+    const h = y1 - y0;
+    const data = new Uint8Array(w * h * 4);
+    const dead = encode(0);
+    for (let i = 0; i < w * h; i++) {
+      data.set(dead, i * 4);
+    }
     for (let i = 0; i < pattern.cells.length; i++) {
       const cell = pattern.cells[i];
-      const tx = mirror ? w - 1 - cell[0] : cell[0];
-      const ty = cell[1];
-      let nx;
-      let ny;
-      if (rot === 0) {
-        nx = tx;
-        ny = ty;
-      } else if (rot === 1) {
-        nx = ty;
-        ny = w - 1 - tx;
-      } else if (rot === 2) {
-        nx = w - 1 - tx;
-        ny = h - 1 - ty;
-      } else {
-        nx = h - 1 - ty;
-        ny = tx;
+      const x = originX + cell[0];
+      const y = originY + cell[1];
+      if (x < x0 || x >= x1 || y < y0 || y >= y1) {
+        continue;
       }
-      transformed[i] = [nx, ny];
+      data.set(encode(cell[2] || 1), ((y - y0) * w + (x - x0)) * 4);
     }
-    const newWidth = rot % 2 === 0 ? w : h;
-    const newHeight = rot % 2 === 0 ? h : w;
-    return { width: newWidth, height: newHeight, cells: transformed };
+    gl.bindTexture(gl.TEXTURE_2D, fbo.attachments[0]);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, x0, y0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return true;
   }
 
-  function randomInt(min, max) {
-    if (max < min) {
-      const tmp = min;
-      min = max;
-      max = tmp;
+  // Seed patterns come from the build-time manifest in src/assets/patterns, inlined by base.njk.
+  function readPatternManifest() {
+    const el = document.getElementById('gol-patterns');
+    if (!el) {
+      return [];
+    }
+    try {
+      const entries = JSON.parse(el.textContent);
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
     }
-    return min + Math.floor(Math.random() * (max - min + 1));
   }
 
-  const LIFE_PATTERNS = LIFE_PATTERN_SOURCES.map((pattern) => {
-    const parsed = parseLifeRle(pattern.rle);
-    return { ...pattern, ...parsed };
-  });
+  const LIFE_PATTERNS = compilePatterns(readPatternManifest());
 
-  function createLifeSimulation(gl, n) {
+  function getVisibleGridBounds(el, n) {
+    const width = el.clientWidth || el.width || window.innerWidth || n;
+    const height = el.clientHeight || el.height || window.innerHeight || n;
+    if (!width || !height) {
+      return { minX: 0, maxX: n - 1, minY: 0, maxY: n - 1 };
+    }
+    const scale = Math.max(width / n, height / n);
+    if (!scale || !Number.isFinite(scale)) {
+      return { minX: 0, maxX: n - 1, minY: 0, maxY: n - 1 };
+    }
+    const gridPx = scale * n;
+    const offsetX = 0.5 * (width - gridPx);
+    const offsetY = 0.5 * (height - gridPx);
+
+    const pMinX = Math.max(0, -offsetX);
+    const pMaxX = Math.min(gridPx, width - offsetX);
+    const pMinY = Math.max(0, -offsetY);
+    const pMaxY = Math.min(gridPx, height - offsetY);
+
+    let minX = Math.max(0, Math.floor(pMinX / scale));
+    let maxX = Math.min(n - 1, Math.ceil(pMaxX / scale) - 1);
+    let minY = Math.max(0, Math.floor(pMinY / scale));
+    let maxY = Math.min(n - 1, Math.ceil(pMaxY / scale) - 1);
+
+    if (maxX < minX || maxY < minY) {
+      return { minX: 0, maxX: n - 1, minY: 0, maxY: n - 1 };
+    }
+
+    minX = Math.max(0, minX - 2);
+    maxX = Math.min(n - 1, maxX + 2);
+    minY = Math.max(0, minY - 2);
+    maxY = Math.min(n - 1, maxY + 2);
+
+    return { minX, maxX, minY, maxY };
+  }
+
+  // The board a simulation starts from: `options.data` when given, else a fresh one laid down by `seed`.
+  function seedBoard(n, options, seed) {
+    if (options.data) {
+      return options.data;
+    }
+    const seedWriter = new SeedWriter(n);
+    seedWriter.fillChannel(3, 255);
+    seed(seedWriter);
+    return seedWriter.data;
+  }
+
+  // Each mode's simulation takes `options` as described at createInstance: `random` (plus `patterns` and
+  // `bounds`) to generate a board, or `data` to start from an exact one, and an optional `stepMs`.
+  function createLifeSimulation(gl, n, rule, options) {
     const simfs = `#version 300 es
     precision highp float;
     uniform sampler2D u_texture;
     uniform vec2 u_resolution;
+    uniform int u_birth;
+    uniform int u_survival;
     out vec4 outColor;
 
     float get(vec2 o){
@@ -390,12 +376,8 @@
       sum += get(vec2( 1.0, 1.0));
 
       float current = get(vec2(0.0, 0.0));
-      float next = current;
-      if (current > 0.5) {
-        if (sum < 1.5 || sum > 3.5) next = 0.0;
-      } else {
-        if (sum > 2.5 && sum < 3.5) next = 1.0;
-      }
+      int mask = current > 0.5 ? u_survival : u_birth;
+      float next = ((mask >> int(sum + 0.5)) & 1) == 1 ? 1.0 : 0.0;
       outColor = vec4(next, 0.0, 0.0, 1.0);
     }`;
 
@@ -428,167 +410,285 @@
     const drawProgram = twgl.createProgramInfo(gl, [FULLSCREEN_VS, drawfs]);
     const quad = createFullscreenQuad(gl);
 
-    const seedWriter = new SeedWriter(n);
-    seedWriter.fillChannel(3, 255);
+    const { random } = options;
+    const seedData = seedBoard(n, options, (seedWriter) => seedLifeBoard(seedWriter, random, rule, options.patterns || []));
 
-    function chooseOffset(size, patternSize, padding) {
-      const span = size - patternSize;
-      if (span <= 0) {
-        return 0;
+    let { fboA, fboB } = initPingPongTargets(gl, n, seedData);
+    let generation = 0;
+
+    function simulate(iterations = 1) {
+      if (!iterations || iterations <= 0) {
+        return;
       }
-      const pad = Math.max(0, Math.min(padding | 0, span));
-      const min = pad;
-      const max = span - pad;
-      if (max < min) {
-        return Math.floor(Math.random() * (span + 1));
+      gl.useProgram(simProgram.program);
+      twgl.setBuffersAndAttributes(gl, simProgram, quad);
+      for (let i = 0; i < iterations; i++) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fboB.framebuffer);
+        gl.viewport(0, 0, n, n);
+        twgl.setUniforms(simProgram, {
+          u_texture: fboA.attachments[0],
+          u_resolution: [n, n],
+          u_birth: rule.birth,
+          u_survival: rule.survival,
+        });
+        twgl.drawBufferInfo(gl, quad);
+        const tmp = fboA;
+        fboA = fboB;
+        fboB = tmp;
       }
-      return min + Math.floor(Math.random() * (max - min + 1));
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      generation += iterations;
     }
 
-    function canStamp(cells, offsetX, offsetY) {
-      for (let i = 0; i < cells.length; i++) {
-        const cx = offsetX + cells[i][0];
-        const cy = offsetY + cells[i][1];
-        if (!seedWriter.isEmpty(cx, cy)) {
-          return false;
-        }
-      }
-      return true;
+    if (!options.data) {
+      simulate(randomInt(random, 60, 120));
+      generation = 0;
     }
 
-    function stampPattern(cells, offsetX, offsetY) {
-      for (let i = 0; i < cells.length; i++) {
-        const x = offsetX + cells[i][0];
-        const y = offsetY + cells[i][1];
-        seedWriter.setRgb(x, y);
-      }
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+
+    const stepMs = options.stepMs || 250;
+    let lastStep = 0;
+
+    function draw(width, height, colors, framebuffer = null) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.viewport(0, 0, width, height);
+      gl.useProgram(drawProgram.program);
+      twgl.setBuffersAndAttributes(gl, drawProgram, quad);
+      twgl.setUniforms(drawProgram, {
+        u_texture: fboA.attachments[0],
+        u_canvasSize: [width, height],
+        u_gridSize: n,
+        u_aliveColor: colors.alive,
+        u_bgColor: colors.bg,
+      });
+      twgl.drawBufferInfo(gl, quad);
     }
 
-    function placePattern(pattern, padding) {
-      const attempts = 80;
-      for (let attempt = 0; attempt < attempts; attempt++) {
-        const rotation = (Math.random() * 4) | 0;
-        const mirror = Math.random() < 0.5;
-        const oriented = transformLifePattern(pattern, rotation, mirror);
-        const offsetX = chooseOffset(n, oriented.width, padding);
-        const offsetY = chooseOffset(n, oriented.height, padding);
-        if (!canStamp(oriented.cells, offsetX, offsetY)) {
-          continue;
+    return {
+      step(t, width, height, colors) {
+        if (!lastStep) {
+          lastStep = t;
         }
-        stampPattern(oriented.cells, offsetX, offsetY);
-        return true;
-      }
-      return false;
+
+        let iterations = 0;
+        while (t - lastStep >= stepMs && iterations < MAX_STEPS_PER_FRAME) {
+          simulate();
+          lastStep += stepMs;
+          iterations++;
+        }
+
+        draw(width, height, colors);
+      },
+      draw,
+      advance() {
+        simulate();
+      },
+      get generation() {
+        return generation;
+      },
+      setRule(nextRule) {
+        rule = nextRule;
+      },
+      isCellAlive(x, y) {
+        return readCell(gl, fboA, x, y)[0] > 127;
+      },
+      paintCell(x, y, alive) {
+        writeCell(gl, fboA, x, y, alive ? [255, 0, 0, 255] : [0, 0, 0, 255]);
+      },
+      stamp(pattern, x, y) {
+        return stampRegion(gl, fboA, n, pattern, x, y, (state) => (state ? [255, 0, 0, 255] : [0, 0, 0, 255]));
+      },
+      readStates() {
+        return readStates(gl, fboA, n, (texels, i) => (texels[i] > 127 ? 1 : 0));
+      },
+      dispose() {
+        disposeResources(gl, {
+          programs: [simProgram.program, drawProgram.program],
+          framebuffers: [fboA, fboB],
+          buffers: gatherBufferHandles(quad),
+        });
+      },
+    };
+  }
+
+  // Generations rules: r holds "alive" (state 1) so neighbour counting stays a channel read,
+  // g holds the full state index so dying cells can count down through the refractory states.
+  function createGenerationsSimulation(gl, n, rule, options) {
+    const simfs = `#version 300 es
+    precision highp float;
+    uniform sampler2D u_texture;
+    uniform vec2 u_resolution;
+    uniform int u_birth;
+    uniform int u_survival;
+    uniform int u_states;
+    out vec4 outColor;
+
+    vec4 sampleWrap(vec2 offset){
+      vec2 res = u_resolution;
+      vec2 coord = gl_FragCoord.xy + offset;
+      coord = mod(coord - 0.5 + res, res) + 0.5;
+      return texture(u_texture, coord / res);
     }
 
-    function sprayNoise(attempts, minRadius, maxRadius, density) {
-      for (let i = 0; i < attempts; i++) {
-        const radius = randomInt(minRadius, maxRadius);
-        const cx = Math.floor(Math.random() * n);
-        const cy = Math.floor(Math.random() * n);
-        const r2 = radius * radius;
-        for (let dy = -radius; dy <= radius; dy++) {
-          for (let dx = -radius; dx <= radius; dx++) {
-            if (dx * dx + dy * dy > r2) {
-              continue;
-            }
-            const x = cx + dx;
-            const y = cy + dy;
-            if (!seedWriter.isEmpty(x, y)) {
-              continue;
-            }
-            if (Math.random() < density) {
-              seedWriter.setRgb(x, y);
-            }
-          }
+    void main(){
+      int count = 0;
+      for (int dy = -1; dy <= 1; ++dy) {
+        for (int dx = -1; dx <= 1; ++dx) {
+          if (dx == 0 && dy == 0) continue;
+          if (sampleWrap(vec2(float(dx), float(dy))).r > 0.5) count++;
         }
       }
-    }
 
-    function seedLifeBoard() {
-      for (let i = 0; i < LIFE_PATTERNS.length; i++) {
-        const pattern = LIFE_PATTERNS[i];
-        const count = randomInt(pattern.minCount, pattern.maxCount);
-        const padding = pattern.padding ?? 4;
-        let placed = 0;
-        while (placed < count) {
-          if (!placePattern(pattern, padding)) {
-            break;
-          }
-          placed++;
+      int state = int(sampleWrap(vec2(0.0)).g * 255.0 + 0.5);
+      int next = 0;
+      if (state == 0) {
+        next = ((u_birth >> count) & 1) == 1 ? 1 : 0;
+      } else if (state == 1) {
+        if (((u_survival >> count) & 1) == 1) {
+          next = 1;
+        } else {
+          next = u_states > 2 ? 2 : 0;
         }
+      } else {
+        next = state + 1 < u_states ? state + 1 : 0;
       }
+      outColor = vec4(next == 1 ? 1.0 : 0.0, float(next) / 255.0, 0.0, 1.0);
+    }`;
 
-      sprayNoise(10, 2, 5, 0.3);
-      sprayNoise(6, 1, 2, 0.45);
-    }
+    const drawfs = `#version 300 es
+    precision highp float;
+    uniform sampler2D u_texture;
+    uniform vec2 u_canvasSize;
+    uniform float u_gridSize;
+    uniform int u_states;
+    uniform vec3 u_aliveColor;
+    uniform vec3 u_bgColor;
+    uniform vec3 u_accentColor;
+    out vec4 outColor;
+    void main(){
+      float s = max(u_canvasSize.x / u_gridSize, u_canvasSize.y / u_gridSize);
+      vec2 cellPx = vec2(s, s);
+      vec2 gridPx = vec2(u_gridSize) * cellPx;
+      vec2 offset = 0.5 * (u_canvasSize - gridPx);
+      vec2 p = gl_FragCoord.xy - offset;
+      if (p.x < 0.0 || p.y < 0.0 || p.x >= gridPx.x || p.y >= gridPx.y) {
+        outColor = vec4(u_bgColor, 1.0);
+        return;
+      }
+      vec2 cell = floor(p / cellPx);
+      vec2 uv = (cell + 0.5) / vec2(u_gridSize);
+      int state = int(texture(u_texture, uv).g * 255.0 + 0.5);
+      vec3 color = u_bgColor;
+      if (state == 1) {
+        color = u_aliveColor;
+      } else if (state > 1) {
+        // Fade from the foreground through the accent colour into the background as the cell decays.
+        float t = float(state - 1) / float(u_states - 1);
+        color = mix(mix(u_aliveColor, u_accentColor, t), u_bgColor, t);
+      }
+      outColor = vec4(color, 1.0);
+    }`;
 
-    seedLifeBoard();
+    const simProgram = twgl.createProgramInfo(gl, [FULLSCREEN_VS, simfs]);
+    const drawProgram = twgl.createProgramInfo(gl, [FULLSCREEN_VS, drawfs]);
+    const quad = createFullscreenQuad(gl);
 
-    let { fboA, fboB } = initPingPongTargets(gl, n, seedWriter.data);
+    const { random } = options;
+    const seedData = seedBoard(n, options, (seedWriter) => seedGenerationsBoard(seedWriter, random));
 
-    function runLifeWarmup(iterations) {
-      if (!iterations || iterations <= 0) {
-        return;
-      }
+    let { fboA, fboB } = initPingPongTargets(gl, n, seedData);
+    let generation = 0;
+
+    function simulate() {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fboB.framebuffer);
+      gl.viewport(0, 0, n, n);
       gl.useProgram(simProgram.program);
       twgl.setBuffersAndAttributes(gl, simProgram, quad);
-      for (let i = 0; i < iterations; i++) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, fboB.framebuffer);
-        gl.viewport(0, 0, n, n);
-        twgl.setUniforms(simProgram, {
-          u_texture: fboA.attachments[0],
-          u_resolution: [n, n],
-        });
-        twgl.drawBufferInfo(gl, quad);
-        const tmp = fboA;
-        fboA = fboB;
-        fboB = tmp;
-      }
-      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      twgl.setUniforms(simProgram, {
+        u_texture: fboA.attachments[0],
+        u_resolution: [n, n],
+        u_birth: rule.birth,
+        u_survival: rule.survival,
+        u_states: rule.states,
+      });
+      twgl.drawBufferInfo(gl, quad);
+      const tmp = fboA;
+      fboA = fboB;
+      fboB = tmp;
+      generation++;
     }
 
-    runLifeWarmup(randomInt(60, 120));
+    if (!options.data) {
+      for (let i = randomInt(random, 20, 40); i > 0; i--) {
+        simulate();
+      }
+      generation = 0;
+    }
 
     gl.disable(gl.DEPTH_TEST);
     gl.disable(gl.BLEND);
 
+    const stepMs = options.stepMs || 120;
     let lastStep = 0;
 
+    function draw(width, height, colors, framebuffer = null) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.viewport(0, 0, width, height);
+      gl.useProgram(drawProgram.program);
+      twgl.setBuffersAndAttributes(gl, drawProgram, quad);
+      twgl.setUniforms(drawProgram, {
+        u_texture: fboA.attachments[0],
+        u_canvasSize: [width, height],
+        u_gridSize: n,
+        u_states: rule.states,
+        u_aliveColor: colors.alive,
+        u_bgColor: colors.bg,
+        u_accentColor: colors.accent,
+      });
+      twgl.drawBufferInfo(gl, quad);
+    }
+
     return {
       step(t, width, height, colors) {
         if (!lastStep) {
           lastStep = t;
         }
 
-        if (t - lastStep > 250) {
-          gl.bindFramebuffer(gl.FRAMEBUFFER, fboB.framebuffer);
-          gl.viewport(0, 0, n, n);
-          gl.useProgram(simProgram.program);
-          twgl.setBuffersAndAttributes(gl, simProgram, quad);
-          twgl.setUniforms(simProgram, {
-            u_texture: fboA.attachments[0],
-            u_resolution: [n, n],
-          });
-          twgl.drawBufferInfo(gl, quad);
-          const tmp = fboA;
-          fboA = fboB;
-          fboB = tmp;
-          lastStep = t;
+        let iterations = 0;
+        while (t - lastStep >= stepMs && iterations < MAX_STEPS_PER_FRAME) {
+          simulate();
+          lastStep += stepMs;
+          iterations++;
         }
 
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, width, height);
-        gl.useProgram(drawProgram.program);
-        twgl.setBuffersAndAttributes(gl, drawProgram, quad);
-        twgl.setUniforms(drawProgram, {
-          u_texture: fboA.attachments[0],
-          u_canvasSize: [width, height],
-          u_gridSize: n,
-          u_aliveColor: colors.alive,
-          u_bgColor: colors.bg,
+        draw(width, height, colors);
+      },
+      draw,
+      advance() {
+        simulate();
+      },
+      get generation() {
+        return generation;
+      },
+      setRule(nextRule) {
+        rule = nextRule;
+      },
+      isCellAlive(x, y) {
+        return readCell(gl, fboA, x, y)[0] > 127;
+      },
+      paintCell(x, y, alive) {
+        writeCell(gl, fboA, x, y, alive ? [255, 1, 0, 255] : [0, 0, 0, 255]);
+      },
+      stamp(pattern, x, y) {
+        return stampRegion(gl, fboA, n, pattern, x, y, (state) => {
+          const clamped = Math.min(state, rule.states - 1);
+          return [clamped === 1 ? 255 : 0, clamped, 0, 255];
         });
-        twgl.drawBufferInfo(gl, quad);
+      },
+      readStates() {
+        return readStates(gl, fboA, n, (texels, i) => texels[i + 1]);
       },
       dispose() {
         disposeResources(gl, {
@@ -600,7 +700,7 @@
     };
   }
 
-  function createAntSimulation(gl, n) {
+  function createAntSimulation(gl, n, options) {
     const simfs = `#version 300 es
     precision highp float;
     uniform sampler2D u_texture;
@@ -695,207 +795,235 @@
     const drawProgram = twgl.createProgramInfo(gl, [FULLSCREEN_VS, drawfs]);
     const quad = createFullscreenQuad(gl);
 
-    const seedWriter = new SeedWriter(n);
-    seedWriter.fillChannel(3, 255);
+    const seedData = seedBoard(n, options, (seedWriter) => seedAntBoard(seedWriter, options.random, options.bounds));
 
-    function setTrackCell(x, y, alive) {
-      seedWriter.setChannel(x, y, 0, alive ? 255 : 0);
-    }
+    let { fboA, fboB } = initPingPongTargets(gl, n, seedData);
+    let generation = 0;
 
-    function drawHorizontalBand(yCenter, thickness) {
-      const half = Math.max(0, Math.floor(thickness / 2));
-      for (let dy = -half; dy <= half; dy++) {
-        const row = yCenter + dy;
-        if (row < 0 || row >= n) {
-          continue;
-        }
-        for (let x = 0; x < n; x++) {
-          setTrackCell(x, row, true);
-        }
-      }
-    }
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
 
-    function drawVerticalBand(xCenter, thickness) {
-      const half = Math.max(0, Math.floor(thickness / 2));
-      for (let dx = -half; dx <= half; dx++) {
-        const col = xCenter + dx;
-        if (col < 0 || col >= n) {
-          continue;
-        }
-        for (let y = 0; y < n; y++) {
-          setTrackCell(col, y, true);
-        }
-      }
-    }
+    const stepMs = options.stepMs || 30;
+    let lastStep = 0;
 
-    function drawWrappedDiagonal(offset, thickness, slope) {
-      const half = Math.max(0, Math.floor(thickness / 2));
-      for (let x = 0; x < n; x++) {
-        const baseY = slope > 0 ? (x + offset + n) % n : ((offset - x) % n + n) % n;
-        for (let dy = -half; dy <= half; dy++) {
-          const y = (baseY + dy + n) % n;
-          setTrackCell(x, y, true);
-        }
-      }
+    function simulate() {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fboB.framebuffer);
+      gl.viewport(0, 0, n, n);
+      gl.useProgram(simProgram.program);
+      twgl.setBuffersAndAttributes(gl, simProgram, quad);
+      twgl.setUniforms(simProgram, {
+        u_texture: fboA.attachments[0],
+        u_resolution: [n, n],
+      });
+      twgl.drawBufferInfo(gl, quad);
+      const tmp = fboA;
+      fboA = fboB;
+      fboB = tmp;
+      generation++;
     }
 
-    function carveRandomGaps(count, maxLen) {
-      for (let i = 0; i < count; i++) {
-        const len = randomInt(2, maxLen);
-        const horizontal = Math.random() < 0.5;
-        const startX = randomInt(0, n - 1);
-        const startY = randomInt(0, n - 1);
-        for (let step = 0; step < len; step++) {
-          const x = horizontal ? startX + step : startX;
-          const y = horizontal ? startY : startY + step;
-          if (x >= n || y >= n) {
-            break;
-          }
-          setTrackCell(x, y, false);
-        }
-      }
+    function draw(width, height, colors, framebuffer = null) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.viewport(0, 0, width, height);
+      gl.useProgram(drawProgram.program);
+      twgl.setBuffersAndAttributes(gl, drawProgram, quad);
+      twgl.setUniforms(drawProgram, {
+        u_texture: fboA.attachments[0],
+        u_canvasSize: [width, height],
+        u_gridSize: n,
+        u_aliveColor: colors.alive,
+        u_bgColor: colors.bg,
+        u_antColor: colors.accent,
+      });
+      twgl.drawBufferInfo(gl, quad);
     }
 
-    function scatterDust(samples, probability) {
-      for (let i = 0; i < samples; i++) {
-        const x = randomInt(0, n - 1);
-        const y = randomInt(0, n - 1);
-        if (Math.random() < probability) {
-          setTrackCell(x, y, true);
+    return {
+      step(t, width, height, colors) {
+        if (!lastStep) {
+          lastStep = t - stepMs;
         }
-      }
-    }
 
-    function clearAround(x, y, radius) {
-      for (let dy = -radius; dy <= radius; dy++) {
-        for (let dx = -radius; dx <= radius; dx++) {
-          const cx = x + dx;
-          const cy = y + dy;
-          if (!seedWriter.inBounds(cx, cy)) {
-            continue;
-          }
-          seedWriter.clearRgb(cx, cy);
+        let iterations = 0;
+        while (t - lastStep >= stepMs && iterations < MAX_STEPS_PER_FRAME) {
+          simulate();
+          lastStep += stepMs;
+          iterations++;
         }
-      }
-    }
 
-    function spawnAnt(x, y, dir) {
-      if (!seedWriter.inBounds(x, y)) {
-        return;
-      }
-      seedWriter.clearRgb(x, y);
-      seedWriter.setChannel(x, y, 1, 255);
-      const encoded = Math.round((((dir % 4) + 4) % 4) * 255 / 4);
-      seedWriter.setChannel(x, y, 2, encoded);
-    }
+        draw(width, height, colors);
+      },
+      draw,
+      advance() {
+        simulate();
+      },
+      get generation() {
+        return generation;
+      },
+      spawnAnt(x, y, dir) {
+        const cell = readCell(gl, fboA, x, y);
+        writeCell(gl, fboA, x, y, [cell[0], 255, encodeDir(dir), 255]);
+      },
+      dispose() {
+        disposeResources(gl, {
+          programs: [simProgram.program, drawProgram.program],
+          framebuffers: [fboA, fboB],
+          buffers: gatherBufferHandles(quad),
+        });
+      },
+    };
+  }
 
-    function getVisibleGridBounds() {
-      const width = canvas.clientWidth || canvas.width || window.innerWidth || n;
-      const height = canvas.clientHeight || canvas.height || window.innerHeight || n;
-      if (!width || !height) {
-        return { minX: 0, maxX: n - 1, minY: 0, maxY: n - 1 };
-      }
-      const scale = Math.max(width / n, height / n);
-      if (!scale || !Number.isFinite(scale)) {
-        return { minX: 0, maxX: n - 1, minY: 0, maxY: n - 1 };
-      }
-      const gridPx = scale * n;
-      const offsetX = 0.5 * (width - gridPx);
-      const offsetY = 0.5 * (height - gridPx);
-
-      const pMinX = Math.max(0, -offsetX);
-      const pMaxX = Math.min(gridPx, width - offsetX);
-      const pMinY = Math.max(0, -offsetY);
-      const pMaxY = Math.min(gridPx, height - offsetY);
-
-      let minX = Math.max(0, Math.floor(pMinX / scale));
-      let maxX = Math.min(n - 1, Math.ceil(pMaxX / scale) - 1);
-      let minY = Math.max(0, Math.floor(pMinY / scale));
-      let maxY = Math.min(n - 1, Math.ceil(pMaxY / scale) - 1);
-
-      if (maxX < minX || maxY < minY) {
-        return { minX: 0, maxX: n - 1, minY: 0, maxY: n - 1 };
-      }
+  // Generalised ant: r holds the cell colour index, g holds the ant's internal state + 1 (0 = no ant)
+  // and b the heading, encoded the same way as the classic ant.
+  function createTurmiteSimulation(gl, n, rule, options) {
+    const tableSize = MAX_TURMITE_STATES * MAX_TURMITE_COLORS;
+    const simfs = `#version 300 es
+    precision highp float;
+    uniform sampler2D u_texture;
+    uniform vec2 u_resolution;
+    uniform ivec3 u_table[${tableSize}];
+    out vec4 outColor;
 
-      minX = Math.max(0, minX - 2);
-      maxX = Math.min(n - 1, maxX + 2);
-      minY = Math.max(0, minY - 2);
-      maxY = Math.min(n - 1, maxY + 2);
+    vec4 sampleWrap(vec2 offset){
+      vec2 res = u_resolution;
+      vec2 coord = gl_FragCoord.xy + offset;
+      coord = mod(coord - 0.5 + res, res) + 0.5;
+      return texture(u_texture, coord / res);
+    }
 
-      return { minX, maxX, minY, maxY };
+    int decodeColor(vec4 cell){
+      return int(cell.r * 255.0 + 0.5);
+    }
+
+    int decodeState(vec4 cell){
+      return int(cell.g * 255.0 + 0.5) - 1;
+    }
+
+    float decodeDir(float v){
+      return floor(v * 4.0 + 0.5);
+    }
+
+    ivec3 lookup(int state, int color){
+      return u_table[state * ${MAX_TURMITE_COLORS} + color];
     }
-    function drawTracks() {
-      const horizontalCount = randomInt(3, 4);
-      for (let i = 0; i < horizontalCount; i++) {
-        const base = Math.floor(((i + 1) * n) / (horizontalCount + 1));
-        drawHorizontalBand(base + randomInt(-6, 6), randomInt(2, 4));
-      }
 
-      const verticalCount = randomInt(3, 4);
-      for (let i = 0; i < verticalCount; i++) {
-        const base = Math.floor(((i + 1) * n) / (verticalCount + 1));
-        drawVerticalBand(base + randomInt(-6, 6), randomInt(2, 4));
+    void main(){
+      vec4 cell = texture(u_texture, gl_FragCoord.xy / u_resolution);
+      int color = decodeColor(cell);
+      int state = decodeState(cell);
+
+      int nextColor = color;
+      int nextState = -1;
+      float nextDir = 0.0;
+
+      if (state >= 0) {
+        nextColor = lookup(state, color).x;
       }
 
-      drawWrappedDiagonal(randomInt(0, n - 1), randomInt(1, 2), 1);
-      drawWrappedDiagonal(randomInt(0, n - 1), randomInt(1, 2), -1);
-
-      carveRandomGaps(50, Math.max(4, Math.floor(n * 0.08)));
-      scatterDust(150, 0.35);
-    }
-
-    function spawnAnts() {
-      const antCount = randomInt(2, 4);
-      const used = new Set();
-      const bounds = getVisibleGridBounds();
-      const minX = bounds.minX;
-      const maxX = bounds.maxX;
-      const minY = bounds.minY;
-      const maxY = bounds.maxY;
-      const spanX = Math.max(1, maxX - minX + 1);
-      const spanY = Math.max(1, maxY - minY + 1);
-      const maxAttempts = Math.min(n * n, Math.max(100, spanX * spanY * 2));
-      for (let i = 0; i < antCount; i++) {
-        let placed = false;
-        for (let attempt = 0; attempt < maxAttempts && !placed; attempt++) {
-          const x = randomInt(minX, maxX);
-          const y = randomInt(minY, maxY);
-          const key = y * n + x;
-          if (used.has(key)) {
-            continue;
-          }
-          clearAround(x, y, 2);
-          spawnAnt(x, y, randomInt(0, 3));
-          used.add(key);
-          placed = true;
-        }
-        if (!placed) {
-          for (let y = minY; y <= maxY && !placed; y++) {
-            for (let x = minX; x <= maxX && !placed; x++) {
-              const key = y * n + x;
-              if (used.has(key)) {
-                continue;
-              }
-              clearAround(x, y, 2);
-              spawnAnt(x, y, randomInt(0, 3));
-              used.add(key);
-              placed = true;
-            }
+      const vec2 offsets[4] = vec2[4](vec2(0.0, -1.0), vec2(1.0, 0.0), vec2(0.0, 1.0), vec2(-1.0, 0.0));
+      const float incomingDir[4] = float[4](2.0, 3.0, 0.0, 1.0);
+
+      for (int i = 0; i < 4; ++i) {
+        vec4 neighbor = sampleWrap(offsets[i]);
+        int neighborState = decodeState(neighbor);
+        if (neighborState >= 0 && nextState < 0) {
+          ivec3 entry = lookup(neighborState, decodeColor(neighbor));
+          float newDir = mod(decodeDir(neighbor.b) + float(entry.y), 4.0);
+          if (abs(newDir - incomingDir[i]) < 0.5) {
+            nextState = entry.z;
+            nextDir = newDir;
           }
         }
       }
-    }
-    drawTracks();
-    spawnAnts();
 
-    let { fboA, fboB } = initPingPongTargets(gl, n, seedWriter.data);
+      outColor = vec4(float(nextColor) / 255.0, float(nextState + 1) / 255.0, nextDir / 4.0, 1.0);
+    }`;
+
+    const drawfs = `#version 300 es
+    precision highp float;
+    uniform sampler2D u_texture;
+    uniform vec2 u_canvasSize;
+    uniform float u_gridSize;
+    uniform int u_colors;
+    uniform vec3 u_aliveColor;
+    uniform vec3 u_bgColor;
+    uniform vec3 u_accentColor;
+    uniform vec3 u_antColor;
+    out vec4 outColor;
+    void main(){
+      float s = max(u_canvasSize.x / u_gridSize, u_canvasSize.y / u_gridSize);
+      vec2 cellPx = vec2(s, s);
+      vec2 gridPx = vec2(u_gridSize) * cellPx;
+      vec2 offset = 0.5 * (u_canvasSize - gridPx);
+      vec2 p = gl_FragCoord.xy - offset;
+      if (p.x < 0.0 || p.y < 0.0 || p.x >= gridPx.x || p.y >= gridPx.y) {
+        outColor = vec4(u_bgColor, 1.0);
+        return;
+      }
+      vec2 cell = floor(p / cellPx);
+      vec2 uv = (cell + 0.5) / vec2(u_gridSize);
+      vec4 state = texture(u_texture, uv);
+      int colorIndex = min(int(state.r * 255.0 + 0.5), u_colors - 1);
+      // Palette ramps background -> accent -> foreground, so two colours match the classic ant.
+      float t = float(colorIndex) / float(u_colors - 1);
+      vec3 baseColor = t < 0.5
+        ? mix(u_bgColor, u_accentColor, t * 2.0)
+        : mix(u_accentColor, u_aliveColor, t * 2.0 - 1.0);
+      vec3 color = mix(baseColor, u_antColor, step(0.5 / 255.0, state.g));
+      outColor = vec4(color, 1.0);
+    }`;
+
+    const simProgram = twgl.createProgramInfo(gl, [FULLSCREEN_VS, simfs]);
+    const drawProgram = twgl.createProgramInfo(gl, [FULLSCREEN_VS, drawfs]);
+    const quad = createFullscreenQuad(gl);
+
+    const seedData = seedBoard(n, options, (seedWriter) => seedTurmiteBoard(seedWriter, options.random, options.bounds));
+
+    let { fboA, fboB } = initPingPongTargets(gl, n, seedData);
+    let generation = 0;
 
     gl.disable(gl.DEPTH_TEST);
     gl.disable(gl.BLEND);
 
-    const stepMs = 30;
+    const stepMs = options.stepMs || 30;
     let lastStep = 0;
 
+    function simulate() {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fboB.framebuffer);
+      gl.viewport(0, 0, n, n);
+      gl.useProgram(simProgram.program);
+      twgl.setBuffersAndAttributes(gl, simProgram, quad);
+      twgl.setUniforms(simProgram, {
+        u_texture: fboA.attachments[0],
+        u_resolution: [n, n],
+        u_table: rule.table,
+      });
+      twgl.drawBufferInfo(gl, quad);
+      const tmp = fboA;
+      fboA = fboB;
+      fboB = tmp;
+      generation++;
+    }
+
+    function draw(width, height, colors, framebuffer = null) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.viewport(0, 0, width, height);
+      gl.useProgram(drawProgram.program);
+      twgl.setBuffersAndAttributes(gl, drawProgram, quad);
+      twgl.setUniforms(drawProgram, {
+        u_texture: fboA.attachments[0],
+        u_canvasSize: [width, height],
+        u_gridSize: n,
+        u_colors: rule.colors,
+        u_aliveColor: colors.alive,
+        u_bgColor: colors.bg,
+        u_accentColor: colors.accent,
+        u_antColor: colors.accent,
+      });
+      twgl.drawBufferInfo(gl, quad);
+    }
+
     return {
       step(t, width, height, colors) {
         if (!lastStep) {
@@ -903,36 +1031,27 @@
         }
 
         let iterations = 0;
-        while (t - lastStep >= stepMs && iterations < 64) {
-          gl.bindFramebuffer(gl.FRAMEBUFFER, fboB.framebuffer);
-          gl.viewport(0, 0, n, n);
-          gl.useProgram(simProgram.program);
-          twgl.setBuffersAndAttributes(gl, simProgram, quad);
-          twgl.setUniforms(simProgram, {
-            u_texture: fboA.attachments[0],
-            u_resolution: [n, n],
-          });
-          twgl.drawBufferInfo(gl, quad);
-          const tmp = fboA;
-          fboA = fboB;
-          fboB = tmp;
+        while (t - lastStep >= stepMs && iterations < MAX_STEPS_PER_FRAME) {
+          simulate();
           lastStep += stepMs;
           iterations++;
         }
 
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, width, height);
-        gl.useProgram(drawProgram.program);
-        twgl.setBuffersAndAttributes(gl, drawProgram, quad);
-        twgl.setUniforms(drawProgram, {
-          u_texture: fboA.attachments[0],
-          u_canvasSize: [width, height],
-          u_gridSize: n,
-          u_aliveColor: colors.alive,
-          u_bgColor: colors.bg,
-          u_antColor: colors.accent,
-        });
-        twgl.drawBufferInfo(gl, quad);
+        draw(width, height, colors);
+      },
+      draw,
+      advance() {
+        simulate();
+      },
+      get generation() {
+        return generation;
+      },
+      setRule(nextRule) {
+        rule = nextRule;
+      },
+      spawnAnt(x, y, dir) {
+        const cell = readCell(gl, fboA, x, y);
+        writeCell(gl, fboA, x, y, [cell[0], 1, encodeDir(dir), 255]);
       },
       dispose() {
         disposeResources(gl, {
@@ -944,14 +1063,428 @@
     };
   }
 
-  function createSimulation(gl, mode, size) {
-    return mode === 'ant' ? createAntSimulation(gl, size) : createLifeSimulation(gl, size);
+  // Canvas2D fallback: the CPU reference in gol-core.js steps the board on the same schedule as the
+  // shaders, and each frame is painted one pixel per cell then scaled up with the same cover fit.
+  function createCanvasSimulation(ctx, mode, n, rule, options) {
+    const cpu = createCpuSimulation(mode, n, {
+      rule: mode === 'ant' ? null : rule,
+      random: options.random,
+      patterns: options.patterns || [],
+      bounds: options.bounds,
+      data: options.data,
+    });
+    const grid = document.createElement('canvas');
+    grid.width = n;
+    grid.height = n;
+    const gridCtx = grid.getContext('2d');
+    const image = gridCtx.createImageData(n, n);
+
+    const stepMs = options.stepMs || { life: 250, generations: 120 }[mode] || 30;
+    const waitsFirst = mode === 'life' || mode === 'generations';
+    let lastStep = 0;
+
+    function toRgb(color) {
+      return color.map((c) => Math.round(clamp(c, 0, 1) * 255));
+    }
+
+    function mix(a, b, t) {
+      return a.map((c, i) => c + (b[i] - c) * t);
+    }
+
+    // Colour per cell state (Generations) or cell colour (turmites), worked out like the draw shaders
+    function getPalette(colors) {
+      if (mode === 'generations') {
+        return Array.from({ length: rule.states }, (_, state) => {
+          if (state < 2) {
+            return state ? colors.alive : colors.bg;
+          }
+          const t = (state - 1) / (rule.states - 1);
+          return mix(mix(colors.alive, colors.accent, t), colors.bg, t);
+        });
+      }
+      if (mode === 'turmite') {
+        return Array.from({ length: rule.colors }, (_, index) => {
+          const t = index / (rule.colors - 1);
+          return t < 0.5 ? mix(colors.bg, colors.accent, t * 2) : mix(colors.accent, colors.alive, t * 2 - 1);
+        });
+      }
+      return [colors.bg, colors.alive];
+    }
+
+    function draw(width, height, colors, target = ctx) {
+      const bg = toRgb(colors.bg);
+      const ant = toRgb(colors.accent);
+      const palette = getPalette(colors).map(toRgb);
+      const last = palette.length - 1;
+      const data = cpu.data;
+      const out = image.data;
+      for (let y = 0; y < n; y++) {
+        // Board rows run bottom-up like the textures; image rows run top-down.
+        const row = (n - 1 - y) * n;
+        for (let x = 0; x < n; x++) {
+          const idx = (row + x) * 4;
+          let color;
+          if (mode === 'generations') {
+            color = palette[Math.min(data[idx + 1], last)];
+          } else if (mode === 'turmite') {
+            color = data[idx + 1] ? ant : palette[Math.min(data[idx], last)];
+          } else {
+            color = mode === 'ant' && data[idx + 1] > 127 ? ant : palette[data[idx] > 127 ? 1 : 0];
+          }
+          const o = (y * n + x) * 4;
+          out[o] = color[0];
+          out[o + 1] = color[1];
+          out[o + 2] = color[2];
+          out[o + 3] = 255;
+        }
+      }
+      gridCtx.putImageData(image, 0, 0);
+
+      const s = Math.max(width / n, height / n);
+      const gridPx = s * n;
+      target.imageSmoothingEnabled = false;
+      target.fillStyle = `rgb(${bg.join(',')})`;
+      target.fillRect(0, 0, width, height);
+      target.drawImage(grid, 0.5 * (width - gridPx), 0.5 * (height - gridPx), gridPx, gridPx);
+    }
+
+    const sim = {
+      step(t, width, height, colors) {
+        if (!lastStep) {
+          // Life and Generations wait a full step before their first one, the ants start straight away
+          lastStep = waitsFirst ? t : t - stepMs;
+        }
+        let iterations = 0;
+        while (t - lastStep >= stepMs && iterations < MAX_STEPS_PER_FRAME) {
+          cpu.step();
+          lastStep += stepMs;
+          iterations++;
+        }
+        draw(width, height, colors);
+      },
+      draw,
+      advance() {
+        cpu.step();
+      },
+      get generation() {
+        return cpu.generation;
+      },
+      dispose() {},
+    };
+
+    if (mode !== 'ant') {
+      sim.setRule = (nextRule) => {
+        rule = nextRule;
+        cpu.setRule(nextRule);
+      };
+    }
+
+    if (mode === 'ant' || mode === 'turmite') {
+      // The classic ant marks itself with 255 in g, a turmite with its internal state + 1
+      const antTexel = mode === 'ant' ? 255 : 1;
+      sim.spawnAnt = (x, y, dir) => {
+        cpu.setCell(x, y, [cpu.getCell(x, y)[0], antTexel, encodeDir(dir), 255]);
+      };
+      return sim;
+    }
+
+    // Texels for a pattern state (0 = dead), as the mode's WebGL simulation writes them
+    function encodeCell(state) {
+      if (mode === 'generations') {
+        const clamped = Math.min(state, rule.states - 1);
+        return [clamped === 1 ? 255 : 0, clamped, 0, 255];
+      }
+      return state ? [255, 0, 0, 255] : [0, 0, 0, 255];
+    }
+
+    return Object.assign(sim, {
+      isCellAlive(x, y) {
+        return cpu.getCell(x, y)[0] > 127;
+      },
+      paintCell(x, y, alive) {
+        cpu.setCell(x, y, encodeCell(alive ? 1 : 0));
+      },
+      stamp(pattern, originX, originY) {
+        const x0 = Math.max(0, originX);
+        const y0 = Math.max(0, originY);
+        const x1 = Math.min(n, originX + pattern.width);
+        const y1 = Math.min(n, originY + pattern.height);
+        if (x1 <= x0 || y1 <= y0) {
+          return false;
+        }
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            cpu.setCell(x, y, encodeCell(0));
+          }
+        }
+        for (let i = 0; i < pattern.cells.length; i++) {
+          const x = originX + pattern.cells[i][0];
+          const y = originY + pattern.cells[i][1];
+          if (x >= x0 && x < x1 && y >= y0 && y < y1) {
+            cpu.setCell(x, y, encodeCell(pattern.cells[i][2] || 1));
+          }
+        }
+        return true;
+      },
+      readStates() {
+        return mode === 'generations' ? cpu.readStates((texels, i) => texels[i + 1]) : cpu.readStates();
+      },
+    });
   }
 
-  function start(mode) {
+  // WebGL2 when the browser and twgl can provide it, else the CPU simulation drawn with Canvas2D.
+  // Probing a canvas itself means createInstance() gets back the very same context.
+  const backends = new WeakMap();
+
+  function detectBackend(el) {
+    if (!backends.has(el)) {
+      let kind = null;
+      try {
+        if (window.twgl && el.getContext('webgl2', { antialias: false, alpha: true })) {
+          kind = 'webgl2';
+        } else if (el.getContext('2d')) {
+          kind = 'canvas2d';
+        }
+      } catch (e) {}
+      backends.set(el, kind);
+    }
+    return backends.get(el);
+  }
+
+  function getBackend() {
+    return detectBackend(canvas);
+  }
+
+  function resizeToDisplaySize(el) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.floor(el.clientWidth * ratio);
+    const height = Math.floor(el.clientHeight * ratio);
+    if (el.width !== width || el.height !== height) {
+      el.width = width;
+      el.height = height;
+    }
+  }
+
+  function createSimulation(context, kind, mode, size, rule, options) {
+    if (kind === 'canvas2d') {
+      return createCanvasSimulation(context, mode, size, rule, options);
+    }
+    if (mode === 'ant') {
+      return createAntSimulation(context, size, options);
+    }
+    if (mode === 'generations') {
+      return createGenerationsSimulation(context, size, rule, options);
+    }
+    if (mode === 'turmite') {
+      return createTurmiteSimulation(context, size, rule, options);
+    }
+    return createLifeSimulation(context, size, rule, options);
+  }
+
+  // Parses a rule string in the notation the given mode understands, or returns null.
+  function parseModeRule(mode, rule) {
+    if (!(mode in DEFAULT_MODE_RULES)) {
+      return null;
+    }
+    if (mode === 'turmite') {
+      return parseTurmiteRule(rule);
+    }
+    const parsed = parseLifeRule(rule);
+    if (!parsed || (mode !== 'generations' && parsed.states !== 2)) {
+      return null;
+    }
+    return parsed;
+  }
+
+  // Every live instance, so tab visibility and theme switches reach all of them.
+  const instances = new Set();
+
+  // One simulation on one canvas, with its own context, board and render loop. The background is one;
+  // posts embed more through sim-embeds.js. Options:
+  //   mode      one of MODES
+  //   rule      parsed rule for the rule-based modes, else the mode's default
+  //   size      cells along each side
+  //   random    seeds the board the way the background does, with `patterns` for Life and `bounds`
+  //             (the visible cells) for where ants may start...
+  //   data      ...or an exact RGBA board to start from, laid out like the textures
+  //   stepMs    milliseconds per generation instead of the mode's own pace
+  //   paused    start on a still frame
+  //   onDraw    called with the instance after every frame
+  // Returns null when the canvas has no usable context or that context can't run the mode.
+  function createInstance(el, options) {
+    const kind = detectBackend(el);
+    const mode = options.mode || 'life';
+    if (!kind || !MODES.includes(mode)) {
+      return null;
+    }
+    const context = kind === 'webgl2'
+      ? el.getContext('webgl2', { antialias: false, alpha: true })
+      : el.getContext('2d');
+    if (!context) {
+      return null;
+    }
+
+    let rule = options.rule || parseModeRule(mode, DEFAULT_MODE_RULES[mode]);
+    let sim = createSimulation(context, kind, mode, options.size, rule, options);
+    let paused = !!options.paused;
+    let visible = true;
+    let disposed = false;
+    let rafId = 0;
+    let suspendedAt = null;
+    let suspendedTotal = 0;
+
+    function isAnimating() {
+      return !disposed && !paused && visible && !document.hidden;
+    }
+
+    function draw() {
+      if (disposed) {
+        return;
+      }
+      resizeToDisplaySize(el);
+      sim.draw(el.width, el.height, getThemeColors());
+      if (options.onDraw) {
+        options.onDraw(instance);
+      }
+    }
+
+    // Time spent paused, off-screen or in a background tab is subtracted so the sims don't try to catch up on it.
+    function render(time) {
+      resizeToDisplaySize(el);
+      sim.step(time - suspendedTotal, el.width, el.height, getThemeColors());
+      if (options.onDraw) {
+        options.onDraw(instance);
+      }
+      rafId = requestAnimationFrame(render);
+    }
+
+    // Starts or suspends the render loop to match the paused and visible flags and the page's visibility.
+    function sync() {
+      if (isAnimating()) {
+        if (!rafId) {
+          if (suspendedAt !== null) {
+            suspendedTotal += performance.now() - suspendedAt;
+            suspendedAt = null;
+          }
+          rafId = requestAnimationFrame(render);
+        }
+      } else if (rafId) {
+        cancelAnimationFrame(rafId);
+        rafId = 0;
+        suspendedAt = performance.now();
+      }
+    }
+
+    const entry = { sync, isAnimating, draw };
+
+    const instance = {
+      mode,
+      size: options.size,
+      backend: kind,
+      // The mode's simulation, for drawing on or reading the board; replaced by reset()
+      get sim() {
+        return sim;
+      },
+      get generation() {
+        return sim.generation;
+      },
+      isPaused: () => paused,
+      play() {
+        paused = false;
+        sync();
+      },
+      pause() {
+        paused = true;
+        sync();
+      },
+      // Pauses and advances exactly one generation.
+      step() {
+        paused = true;
+        sync();
+        sim.advance();
+        draw();
+      },
+      // Rebuilds the starting board: the same one for `data`, the next from `random`.
+      reset() {
+        sim.dispose();
+        sim = createSimulation(context, kind, mode, options.size, rule, options);
+        if (!isAnimating()) {
+          draw();
+        }
+      },
+      setRule(nextRule) {
+        rule = nextRule;
+        if (sim.setRule) {
+          sim.setRule(nextRule);
+        }
+      },
+      // Off-screen instances stop rendering until they are visible again.
+      setVisible(value) {
+        visible = !!value;
+        sync();
+      },
+      draw,
+      dispose() {
+        if (disposed) {
+          return;
+        }
+        disposed = true;
+        sync();
+        instances.delete(entry);
+        try {
+          sim.dispose();
+        } catch (e) {}
+        try {
+          if (kind === 'webgl2') {
+            context.bindFramebuffer(context.FRAMEBUFFER, null);
+            context.clearColor(0, 0, 0, 0);
+            context.clear(context.COLOR_BUFFER_BIT);
+          } else {
+            context.clearRect(0, 0, el.width, el.height);
+          }
+        } catch (e) {}
+      },
+    };
+
+    instances.add(entry);
+    if (isAnimating()) {
+      sync();
+    } else {
+      draw();
+    }
+    return instance;
+  }
+
+  // createInstance() for outside callers: rules may be given as strings.
+  function create(el, options = {}) {
+    const mode = options.mode || 'life';
+    const rule = typeof options.rule === 'string' ? parseModeRule(mode, options.rule) : options.rule;
+    if (typeof options.rule === 'string' && !rule) {
+      return null;
+    }
+    return createInstance(el, { ...options, mode, rule });
+  }
+
+  function getPattern(name) {
+    return LIFE_PATTERNS.find((pattern) => pattern.name === name) || null;
+  }
+
+  function start(mode, options) {
     if (mode && MODES.includes(mode)) {
       currentMode = mode;
     }
+    if (options && options.rule) {
+      const parsed = parseModeRule(currentMode, options.rule);
+      if (parsed) {
+        modeRules[currentMode] = parsed.name;
+      }
+    }
+    if (options && 'seed' in options) {
+      seedOverride = parseSeed(options.seed);
+    }
+    if (options && 'paused' in options) {
+      paused = !!options.paused;
+    }
 
     if (cleanupFn) {
       cleanupFn();
@@ -962,6 +1495,7 @@
     running = true;
     document.documentElement.setAttribute('data-sim', 'on');
     document.documentElement.setAttribute('data-sim-mode', currentMode);
+    document.documentElement.setAttribute('data-sim-state', paused ? 'paused' : 'playing');
     canvas.style.display = 'block';
 
     waitForStyles().then(() => {
@@ -969,19 +1503,23 @@
         return;
       }
 
-      const gl = canvas.getContext('webgl2', { antialias: false, alpha: true });
-      if (!gl) {
-        running = false;
-        document.documentElement.setAttribute('data-sim', 'off');
-        canvas.style.display = 'none';
-        return;
-      }
-
-      let sim;
+      let instance = null;
       try {
         activeGridSize = getResponsiveGridSize();
-        sim = createSimulation(gl, currentMode, activeGridSize);
+        activeSeed = seedOverride ?? (Math.random() * 4294967296) >>> 0;
+        instance = createInstance(canvas, {
+          mode: currentMode,
+          rule: parseModeRule(currentMode, modeRules[currentMode]),
+          size: activeGridSize,
+          random: createRandom(activeSeed),
+          patterns: LIFE_PATTERNS,
+          bounds: getVisibleGridBounds(canvas, activeGridSize),
+          paused,
+        });
       } catch (e) {
+        instance = null;
+      }
+      if (!instance) {
         running = false;
         activeGridSize = 0;
         document.documentElement.setAttribute('data-sim', 'off');
@@ -989,37 +1527,57 @@
         return;
       }
 
-      function render(time) {
-        if (token !== startToken || !running) {
-          return;
-        }
-        twgl.resizeCanvasToDisplaySize(gl.canvas, window.devicePixelRatio || 1);
-        sim.step(time, gl.canvas.width, gl.canvas.height, getThemeColors());
-        rafId = requestAnimationFrame(render);
-      }
-
-      rafId = requestAnimationFrame(render);
+      activeInstance = instance;
+      activeSim = instance.sim;
 
       cleanupFn = function () {
-        if (rafId) {
-          cancelAnimationFrame(rafId);
-          rafId = 0;
+        if (activeInstance === instance) {
+          activeInstance = null;
+          activeSim = null;
         }
-        try {
-          if (sim) {
-            sim.dispose();
-          }
-        } catch (e) {}
-        try {
-          gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-          gl.clearColor(0, 0, 0, 0);
-          gl.clear(gl.COLOR_BUFFER_BIT);
-        } catch (e) {}
+        instance.dispose();
         canvas.style.display = 'none';
       };
     });
   }
 
+  // One static frame of the current board, for a paused or not-yet-animating simulation.
+  function drawFrame() {
+    if (activeInstance) {
+      activeInstance.draw();
+    }
+  }
+
+  function redrawIfPaused() {
+    if (running && paused) {
+      drawFrame();
+    }
+  }
+
+  function setPaused(value) {
+    paused = !!value;
+    document.documentElement.setAttribute('data-sim-state', paused ? 'paused' : 'playing');
+    if (activeInstance) {
+      if (paused) {
+        activeInstance.pause();
+      } else {
+        activeInstance.play();
+      }
+    }
+  }
+
+  function pause() {
+    setPaused(true);
+  }
+
+  function play() {
+    if (!running) {
+      start(currentMode, { paused: false });
+      return;
+    }
+    setPaused(false);
+  }
+
   function stop() {
     if (!running && !cleanupFn) {
       document.documentElement.setAttribute('data-sim', 'off');
@@ -1037,8 +1595,14 @@
     canvas.style.display = 'none';
   }
 
-  function setMode(mode) {
-    if (!mode || !MODES.includes(mode) || mode === currentMode) {
+  function setMode(mode, options) {
+    if (!mode || !MODES.includes(mode)) {
+      return;
+    }
+    if (options && options.rule) {
+      setRule(options.rule, mode);
+    }
+    if (mode === currentMode) {
       return;
     }
     const wasRunning = running;
@@ -1053,15 +1617,246 @@
     return currentMode;
   }
 
+  // Maps a viewport point to a grid cell using the same cover-fit scale and centring as the draw shaders.
+  function getCellFromPoint(clientX, clientY, n) {
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height || !n) {
+      return null;
+    }
+    const scale = Math.max(rect.width / n, rect.height / n);
+    const gridPx = scale * n;
+    const offsetX = 0.5 * (rect.width - gridPx);
+    const offsetY = 0.5 * (rect.height - gridPx);
+    // Texture rows run bottom-up, like gl_FragCoord.
+    const x = Math.floor((clientX - rect.left - offsetX) / scale);
+    const y = Math.floor((rect.bottom - clientY - offsetY) / scale);
+    if (x < 0 || y < 0 || x >= n || y >= n) {
+      return null;
+    }
+    return { x, y };
+  }
+
+  // Paints every cell on the segment between two cells so fast drags don't leave gaps.
+  function paintLine(sim, from, to, alive) {
+    let x = from.x;
+    let y = from.y;
+    const dx = Math.abs(to.x - x);
+    const dy = -Math.abs(to.y - y);
+    const sx = x < to.x ? 1 : -1;
+    const sy = y < to.y ? 1 : -1;
+    let err = dx + dy;
+    for (;;) {
+      sim.paintCell(x, y, alive);
+      if (x === to.x && y === to.y) {
+        break;
+      }
+      const e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y += sy;
+      }
+    }
+  }
+
+  // Heading for a spawned ant from the drag vector, in the shaders' encoding (0 = down, 1 = right, 2 = up, 3 = left).
+  function getDragDirection(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    if (!dx && !dy) {
+      return randomInt(Math.random, 0, 3);
+    }
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      return dx > 0 ? 1 : 3;
+    }
+    return dy > 0 ? 2 : 0;
+  }
+
+  function handlePointerDown(event) {
+    if (!drawingEnabled || !activeSim || event.button > 0) {
+      return;
+    }
+    const cell = getCellFromPoint(event.clientX, event.clientY, activeGridSize);
+    if (!cell) {
+      return;
+    }
+    event.preventDefault();
+    try {
+      canvas.setPointerCapture(event.pointerId);
+    } catch (e) {}
+    pointerState = { id: event.pointerId, sim: activeSim, start: cell, last: cell, alive: false };
+    if (activeSim.paintCell) {
+      // The first cell decides whether this stroke draws or erases.
+      pointerState.alive = !activeSim.isCellAlive(cell.x, cell.y);
+      activeSim.paintCell(cell.x, cell.y, pointerState.alive);
+      redrawIfPaused();
+    }
+  }
+
+  function handlePointerMove(event) {
+    if (!pointerState || pointerState.id !== event.pointerId) {
+      return;
+    }
+    const cell = getCellFromPoint(event.clientX, event.clientY, activeGridSize);
+    if (!cell || pointerState.sim !== activeSim) {
+      return;
+    }
+    if (activeSim.paintCell) {
+      paintLine(activeSim, pointerState.last, cell, pointerState.alive);
+      redrawIfPaused();
+    }
+    pointerState.last = cell;
+  }
+
+  function handlePointerUp(event) {
+    if (!pointerState || pointerState.id !== event.pointerId) {
+      return;
+    }
+    const { sim, start, last } = pointerState;
+    pointerState = null;
+    if (sim === activeSim && sim.spawnAnt) {
+      sim.spawnAnt(start.x, start.y, getDragDirection(start, last));
+      redrawIfPaused();
+    }
+  }
+
+  function canExportRle(mode = currentMode) {
+    return mode === 'life' || mode === 'generations';
+  }
+
+  // Snapshot of the running board as RLE, or null when the mode has no B/S rule to describe it.
+  function exportRle() {
+    if (!canExportRle() || !activeSim || !activeSim.readStates) {
+      return null;
+    }
+    const rule = parseModeRule(currentMode, modeRules[currentMode]);
+    return encodeRle(activeSim.readStates(), activeGridSize, rule);
+  }
+
+  // Renders the board through the mode's own draw path into an offscreen target, `scale` pixels
+  // per cell, and resolves with a PNG blob (or null when nothing is running).
+  function exportPng(options = {}) {
+    if (!activeSim) {
+      return Promise.resolve(null);
+    }
+    const n = activeGridSize;
+    const size = n * clamp(Math.floor(options.scale || 4), 1, 16);
+    const out = document.createElement('canvas');
+    out.width = size;
+    out.height = size;
+    const ctx = out.getContext('2d');
+    if (getBackend() === 'canvas2d') {
+      activeSim.draw(size, size, getThemeColors(), ctx);
+      return new Promise((resolve) => out.toBlob(resolve, 'image/png'));
+    }
+
+    const gl = canvas.getContext('webgl2');
+    const attachments = [{ internalFormat: gl.RGBA8, format: gl.RGBA, type: gl.UNSIGNED_BYTE }];
+    const target = twgl.createFramebufferInfo(gl, attachments, size, size);
+    let pixels;
+    try {
+      activeSim.draw(size, size, getThemeColors(), target.framebuffer);
+      pixels = readRegion(gl, target, 0, 0, size, size);
+    } finally {
+      disposeResources(gl, { framebuffers: [target] });
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    const image = ctx.createImageData(size, size);
+    const rowBytes = size * 4;
+    for (let y = 0; y < size; y++) {
+      image.data.set(pixels.subarray((size - 1 - y) * rowBytes, (size - y) * rowBytes), y * rowBytes);
+    }
+    ctx.putImageData(image, 0, 0);
+    return new Promise((resolve) => out.toBlob(resolve, 'image/png'));
+  }
+
+  // Pastes a pattern (RLE, plaintext or Life 1.05/1.06) into the running board. `x`/`y` are the
+  // top-left cell counted from the top-left of the grid; the pattern is centred when they are omitted.
+  function loadPattern(text, options = {}) {
+    const pattern = parsePattern(text, options.format);
+    if (!pattern || !pattern.cells.length || !activeSim || !activeSim.stamp) {
+      return false;
+    }
+    const n = activeGridSize;
+    const x = Number.isFinite(options.x) ? Math.floor(options.x) : Math.floor((n - pattern.width) / 2);
+    const y = Number.isFinite(options.y) ? Math.floor(options.y) : Math.floor((n - pattern.height) / 2);
+    // Pattern rows run top-down but texture rows run bottom-up.
+    const flipped = {
+      ...pattern,
+      cells: pattern.cells.map((cell) => {
+        const moved = cell.slice();
+        moved[1] = pattern.height - 1 - cell[1];
+        return moved;
+      }),
+    };
+    const stamped = activeSim.stamp(flipped, x, n - y - pattern.height);
+    redrawIfPaused();
+    return stamped;
+  }
+
+  // Opt-in pointer input on the background; while enabled, styles.css lets clicks fall through the page.
+  function setDrawing(enabled) {
+    drawingEnabled = !!enabled;
+    pointerState = null;
+    document.documentElement.setAttribute('data-sim-draw', drawingEnabled ? 'on' : 'off');
+  }
+
+  // Switches the rule of a rule-based mode (the current one by default) without reseeding the board.
+  function setRule(rule, mode = currentMode) {
+    const parsed = parseModeRule(mode, rule);
+    if (!parsed) {
+      return false;
+    }
+    modeRules[mode] = parsed.name;
+    if (mode === currentMode && activeInstance) {
+      activeInstance.setRule(parsed);
+    }
+    return true;
+  }
+
+  function getRule(mode = currentMode) {
+    return modeRules[mode] || null;
+  }
+
   window.GOL = {
     start,
     stop,
     isRunning: () => running,
+    pause,
+    play,
+    isPaused: () => paused,
     setMode,
     getMode,
-    modes: MODES.slice(),
+    setRule,
+    getRule,
+    getSeed: () => activeSeed,
+    setDrawing,
+    isDrawing: () => drawingEnabled,
+    loadPattern,
+    parsePattern,
+    canExportRle,
+    exportRle,
+    exportPng,
+    parseRule: parseLifeRule,
+    getBackend,
+    create,
+    getPattern,
+    get modes() {
+      return MODES.slice();
+    },
   };
 
+  canvas.addEventListener('pointerdown', handlePointerDown);
+  canvas.addEventListener('pointermove', handlePointerMove);
+  canvas.addEventListener('pointerup', handlePointerUp);
+  canvas.addEventListener('pointercancel', () => {
+    pointerState = null;
+  });
+
   window.addEventListener('resize', () => {
     if (!running) {
       return;
@@ -1071,10 +1866,30 @@
       const nextGridSize = getResponsiveGridSize();
       if (nextGridSize !== activeGridSize && Math.abs(nextGridSize - activeGridSize) > 10) {
         start(currentMode);
+      } else {
+        redrawIfPaused();
       }
     }, 300);
   });
 
+  document.addEventListener('visibilitychange', () => {
+    instances.forEach((entry) => entry.sync());
+  });
+
+  // A still board is only drawn on demand, so repaint those in the new palette when the theme flips.
+  if (window.MutationObserver) {
+    new MutationObserver(() => {
+      instances.forEach((entry) => {
+        if (!entry.isAnimating()) {
+          entry.draw();
+        }
+      });
+    }).observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['data-theme'],
+    });
+  }
+
   start();
 })();
 
@@ -0,0 +1,1151 @@
+// Simulation core shared by the background canvas and anything that needs to run a board without a
+// GPU: rule and pattern parsing, the seeded board generators and a CPU reference for the step shaders.
+// Boards are RGBA8 arrays laid out exactly like the simulation textures (row 0 is the bottom row).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GOLCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MAX_GENERATIONS_STATES = 255;
+  const MAX_TURMITE_COLORS = 16;
+  const MAX_TURMITE_STATES = 4;
+  // Relative turns in units of 90 degrees clockwise, matching the direction encoding in the ant shaders.
+  const TURMITE_LETTER_TURNS = { N: 0, R: 1, U: 2, L: 3 };
+  const TURMITE_TABLE_TURNS = { 1: 0, 2: 1, 4: 2, 8: 3 };
+
+  class SeedWriter {
+    constructor(size, channels = 4) {
+      this.size = size;
+      this.channels = channels;
+      this.data = new Uint8Array(size * size * channels);
+    }
+    inBounds(x, y) {
+      return x >= 0 && x < this.size && y >= 0 && y < this.size;
+    }
+    index(x, y) {
+      return (y * this.size + x) * this.channels;
+    }
+    setChannel(x, y, channel, value) {
+      if (!this.inBounds(x, y)) return false;
+      this.data[this.index(x, y) + channel] = value;
+      return true;
+    }
+    getChannel(x, y, channel = 0) {
+      if (!this.inBounds(x, y)) return 0;
+      return this.data[this.index(x, y) + channel];
+    }
+    fillChannel(channel, value) {
+      const { data, channels } = this;
+      for (let i = channel; i < data.length; i += channels) {
+        data[i] = value;
+      }
+    }
+    setRgb(x, y, r = 255, g = 255, b = 255) {
+      if (!this.inBounds(x, y)) return false;
+      const idx = this.index(x, y);
+      this.data[idx] = r;
+      this.data[idx + 1] = g;
+      this.data[idx + 2] = b;
+      return true;
+    }
+    clearRgb(x, y) {
+      return this.setRgb(x, y, 0, 0, 0);
+    }
+    isEmpty(x, y) {
+      if (!this.inBounds(x, y)) return false;
+      return this.data[this.index(x, y)] === 0;
+    }
+  }
+
+  function encodeDir(dir) {
+    return Math.round((((dir % 4) + 4) % 4) * 255 / 4);
+  }
+
+
+  function digitsToMask(digits) {
+    let mask = 0;
+    for (let i = 0; i < digits.length; i++) {
+      mask |= 1 << (digits.charCodeAt(i) - 48);
+    }
+    return mask;
+  }
+
+  function maskToDigits(mask) {
+    let digits = '';
+    for (let i = 0; i <= 8; i++) {
+      if (mask & (1 << i)) {
+        digits += i;
+      }
+    }
+    return digits;
+  }
+
+  // Outer-totalistic rules in B/S ("B36/S23"), S/B ("S23/B36") or bare S/B ("23/36") notation.
+  // Birth and survival become 9-bit masks indexed by live neighbour count.
+  // An optional third part ("B2/S/C3", "345/2/4") makes it a Generations rule with that many states.
+  function parseLifeRule(input) {
+    if (typeof input !== 'string') return null;
+    const str = input.replace(/\s+/g, '');
+    let birth;
+    let survival;
+    let states;
+    let match;
+    if ((match = str.match(/^B([0-8]*)\/S([0-8]*)(?:\/C?(\d+))?$/i))) {
+      birth = match[1];
+      survival = match[2];
+      states = match[3];
+    } else if ((match = str.match(/^S([0-8]*)\/B([0-8]*)(?:\/C?(\d+))?$/i))) {
+      survival = match[1];
+      birth = match[2];
+      states = match[3];
+    } else if ((match = str.match(/^([0-8]*)\/([0-8]*)(?:\/(\d+))?$/))) {
+      survival = match[1];
+      birth = match[2];
+      states = match[3];
+    } else {
+      return null;
+    }
+    const stateCount = states ? parseInt(states, 10) : 2;
+    if (stateCount < 2 || stateCount > MAX_GENERATIONS_STATES) {
+      return null;
+    }
+    const birthMask = digitsToMask(birth);
+    const survivalMask = digitsToMask(survival);
+    let name = `B${maskToDigits(birthMask)}/S${maskToDigits(survivalMask)}`;
+    if (stateCount > 2) {
+      name += `/C${stateCount}`;
+    }
+    return {
+      name,
+      birth: birthMask,
+      survival: survivalMask,
+      states: stateCount,
+    };
+  }
+
+  // Turmites as either a turn string ("RLR", "LLRR": one colour per letter, a single internal state)
+  // or a Golly-style state table ("{{{1,2,0},{0,8,0}}}": per state, per colour {write, turn, next state}).
+  // Both flatten to a MAX_TURMITE_STATES x MAX_TURMITE_COLORS table of [write, turn, next] triples.
+  function parseTurmiteRule(input) {
+    if (typeof input !== 'string') return null;
+    const str = input.replace(/\s+/g, '');
+    const table = new Int32Array(MAX_TURMITE_STATES * MAX_TURMITE_COLORS * 3);
+
+    if (/^[LRNU]+$/i.test(str)) {
+      const letters = str.toUpperCase();
+      const colors = letters.length;
+      if (colors < 2 || colors > MAX_TURMITE_COLORS) {
+        return null;
+      }
+      for (let color = 0; color < MAX_TURMITE_COLORS; color++) {
+        const k = color % colors;
+        const idx = color * 3;
+        table[idx] = (k + 1) % colors;
+        table[idx + 1] = TURMITE_LETTER_TURNS[letters[k]];
+        table[idx + 2] = 0;
+      }
+      return { name: letters, colors, states: 1, table };
+    }
+
+    if (str[0] !== '{') {
+      return null;
+    }
+    let rows;
+    try {
+      rows = JSON.parse(str.replace(/\{/g, '[').replace(/\}/g, ']'));
+    } catch (e) {
+      return null;
+    }
+    if (!Array.isArray(rows) || rows.length < 1 || rows.length > MAX_TURMITE_STATES) {
+      return null;
+    }
+    const states = rows.length;
+    const colors = Array.isArray(rows[0]) ? rows[0].length : 0;
+    if (colors < 2 || colors > MAX_TURMITE_COLORS) {
+      return null;
+    }
+    for (let state = 0; state < states; state++) {
+      const row = rows[state];
+      if (!Array.isArray(row) || row.length !== colors) {
+        return null;
+      }
+      for (let color = 0; color < colors; color++) {
+        const entry = row[color];
+        if (!Array.isArray(entry) || entry.length !== 3) {
+          return null;
+        }
+        const [write, turnCode, next] = entry;
+        const turn = TURMITE_TABLE_TURNS[turnCode];
+        if (!Number.isInteger(write) || write < 0 || write >= colors) return null;
+        if (turn === undefined) return null;
+        if (!Number.isInteger(next) || next < 0 || next >= states) return null;
+        const idx = (state * MAX_TURMITE_COLORS + color) * 3;
+        table[idx] = write;
+        table[idx + 1] = turn;
+        table[idx + 2] = next;
+      }
+    }
+    const name = `{${rows.map((row) => `{${row.map((entry) => `{${entry.join(',')}}`).join(',')}}`).join(',')}}`;
+    return { name, colors, states, table };
+  }
+
+  function getPatternBounds(cells) {
+    let width = 0;
+    let height = 0;
+    for (let i = 0; i < cells.length; i++) {
+      const cx = cells[i][0];
+      const cy = cells[i][1];
+      if (cx + 1 > width) {
+        width = cx + 1;
+      }
+      if (cy + 1 > height) {
+        height = cy + 1;
+      }
+    }
+    return { width, height };
+  }
+
+  // Shifts cells so the pattern's top-left live cell sits at (0, 0); formats with signed coordinates need it.
+  function normalizePattern(cells, rule, meta) {
+    let minX = Infinity;
+    let minY = Infinity;
+    for (let i = 0; i < cells.length; i++) {
+      minX = Math.min(minX, cells[i][0]);
+      minY = Math.min(minY, cells[i][1]);
+    }
+    const shifted = cells.length
+      ? cells.map((cell) => {
+        const moved = cell.slice();
+        moved[0] -= minX;
+        moved[1] -= minY;
+        return moved;
+      })
+      : cells;
+    return { cells: shifted, ...getPatternBounds(shifted), rule, meta };
+  }
+
+  // Cells are [x, y] for plain live cells and [x, y, state] for multistate cells, with y growing downwards.
+  function pushRun(cells, x, y, run, state) {
+    for (let k = 0; k < run; k++) {
+      cells.push(state === 1 ? [x + k, y] : [x + k, y, state]);
+    }
+  }
+
+  function parseLifeRle(rle) {
+    const lines = rle.split(/\r?\n/);
+    let dataStarted = false;
+    let rule = null;
+    const meta = { name: '', author: '', comments: [] };
+    const dataParts = [];
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) {
+        continue;
+      }
+      if (!dataStarted) {
+        const tag = line.match(/^#([A-Za-z])\s?(.*)$/);
+        if (tag) {
+          const value = tag[2].trim();
+          if (tag[1] === 'N') {
+            meta.name = value;
+          } else if (tag[1] === 'O') {
+            meta.author = value;
+          } else if (tag[1] === 'C' || tag[1] === 'c') {
+            meta.comments.push(value);
+          } else if (tag[1] === 'r') {
+            rule = parseLifeRule(value);
+          }
+          continue;
+        }
+        if (/^x\s*=\s*/i.test(line)) {
+          dataStarted = true;
+          const ruleMatch = line.match(/rule\s*=\s*([^,]+)/i);
+          if (ruleMatch) {
+            rule = parseLifeRule(ruleMatch[1]);
+          }
+        }
+        continue;
+      }
+      dataParts.push(line);
+    }
+    const raw = dataParts.join('').replace(/\s+/g, '');
+    const cells = [];
+    let x = 0;
+    let y = 0;
+    let count = '';
+    let prefix = 0;
+    for (let i = 0; i < raw.length; i++) {
+      const ch = raw[i];
+      if (ch >= '0' && ch <= '9') {
+        count += ch;
+        continue;
+      }
+      // Multistate prefixes: "pA" is state 25, "yO" is state 255.
+      if (ch >= 'p' && ch <= 'y') {
+        prefix = ch.charCodeAt(0) - 111;
+        continue;
+      }
+      const run = count ? parseInt(count, 10) : 1;
+      count = '';
+      if (ch >= 'A' && ch <= 'X') {
+        pushRun(cells, x, y, run, prefix * 24 + ch.charCodeAt(0) - 64);
+        x += run;
+      } else if (ch === 'o') {
+        pushRun(cells, x, y, run, 1);
+        x += run;
+      } else if (ch === 'b' || ch === '.') {
+        x += run;
+      } else if (ch === '$') {
+        y += run;
+        x = 0;
+      } else if (ch === '!') {
+        break;
+      }
+      prefix = 0;
+    }
+    return { cells, ...getPatternBounds(cells), rule, meta };
+  }
+
+  // Plaintext (.cells): "!" comment lines (with optional "!Name:"/"!Author:"), then rows of "." and "O".
+  function parseLifePlaintext(text) {
+    const meta = { name: '', author: '', comments: [] };
+    const cells = [];
+    let y = 0;
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].replace(/\s+$/, '');
+      if (line[0] === '!') {
+        const comment = line.slice(1).trim();
+        const field = comment.match(/^(Name|Author):\s*(.*)$/i);
+        if (field) {
+          meta[field[1].toLowerCase()] = field[2];
+        } else if (comment) {
+          meta.comments.push(comment);
+        }
+        continue;
+      }
+      for (let x = 0; x < line.length; x++) {
+        if (line[x] === 'O' || line[x] === '*') {
+          cells.push([x, y]);
+        }
+      }
+      y++;
+    }
+    return { cells, ...getPatternBounds(cells), rule: null, meta };
+  }
+
+  // Life 1.06 is a list of "x y" coordinates; Life 1.05 is "#P x y" blocks of "." and "*" rows,
+  // with "#D" descriptions and "#N" (Conway) or "#R survival/birth" rules.
+  function parseLife10x(text) {
+    const meta = { name: '', author: '', comments: [] };
+    const cells = [];
+    let rule = null;
+    let blockX = 0;
+    let row = 0;
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || /^#Life/i.test(line)) {
+        continue;
+      }
+      if (line[0] === '#') {
+        const kind = line[1];
+        const value = line.slice(2).trim();
+        if (kind === 'D' || kind === 'C') {
+          meta.comments.push(value);
+        } else if (kind === 'N') {
+          rule = parseLifeRule('B3/S23');
+        } else if (kind === 'R') {
+          rule = parseLifeRule(value);
+        } else if (kind === 'P') {
+          const parts = value.split(/\s+/).map((v) => parseInt(v, 10));
+          blockX = parts[0] || 0;
+          row = parts[1] || 0;
+        }
+        continue;
+      }
+      const coords = line.match(/^(-?\d+)\s+(-?\d+)$/);
+      if (coords) {
+        cells.push([parseInt(coords[1], 10), parseInt(coords[2], 10)]);
+        continue;
+      }
+      for (let x = 0; x < line.length; x++) {
+        if (line[x] === '*' || line[x] === 'O') {
+          cells.push([blockX + x, row]);
+        }
+      }
+      row++;
+    }
+    return normalizePattern(cells, rule, meta);
+  }
+
+  function detectPatternFormat(text) {
+    const trimmed = text.replace(/^\s+/, '');
+    if (/^#Life 1\.0[56]/i.test(trimmed)) {
+      return 'life';
+    }
+    if (trimmed[0] === '!' || /^[.O*]+\s*(\r?\n|$)/.test(trimmed)) {
+      return 'cells';
+    }
+    return 'rle';
+  }
+
+  function parsePattern(text, format) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+    const kind = format || detectPatternFormat(text);
+    if (kind === 'cells') {
+      return parseLifePlaintext(text);
+    }
+    if (kind === 'life') {
+      return parseLife10x(text);
+    }
+    return parseLifeRle(text);
+  }
+
+
+  function transformLifePattern(pattern, rotation, mirror) {
+    const rot = rotation & 3;
+    const w = pattern.width;
+    const h = pattern.height;
+    const transformed = new Array(pattern.cells.length);
+    for (let i = 0; i < pattern.cells.length; i++) {
+      const cell = pattern.cells[i];
+      const tx = mirror ? w - 1 - cell[0] : cell[0];
+      const ty = cell[1];
+      let nx;
+      let ny;
+      if (rot === 0) {
+        nx = tx;
+        ny = ty;
+      } else if (rot === 1) {
+        nx = ty;
+        ny = w - 1 - tx;
+      } else if (rot === 2) {
+        nx = w - 1 - tx;
+        ny = h - 1 - ty;
+      } else {
+        nx = h - 1 - ty;
+        ny = tx;
+      }
+      transformed[i] = cell.length > 2 ? [nx, ny, cell[2]] : [nx, ny];
+    }
+    const newWidth = rot % 2 === 0 ? w : h;
+    const newHeight = rot % 2 === 0 ? h : w;
+    return { width: newWidth, height: newHeight, cells: transformed };
+  }
+
+  // Turns manifest entries ({ name, text, format, rule?, minCount, maxCount, padding }) into seed patterns.
+  function compilePatterns(entries) {
+    return (Array.isArray(entries) ? entries : [])
+      .map((entry) => {
+        const parsed = parsePattern(entry.text, entry.format);
+        if (!parsed || !parsed.cells.length) {
+          return null;
+        }
+        const rule = entry.rule ? parseLifeRule(entry.rule) : parsed.rule;
+        return { ...entry, ...parsed, name: entry.name || parsed.meta.name, rule };
+      })
+      .filter(Boolean);
+  }
+
+  // Mulberry32: tiny, fast and plenty for scattering seed patterns, and fully determined by its 32-bit seed.
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Seeds are 32-bit unsigned integers; anything else, larger numbers included, is hashed (FNV-1a) so
+  // "?seed=glider" works too.
+  function parseSeed(value) {
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        return null;
+      }
+      value = String(value);
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+    const str = value.trim();
+    // Wrapping a larger number would silently give a different seed than the one asked for
+    if (/^\d+$/.test(str) && Number(str) <= 0xffffffff) {
+      return Number(str);
+    }
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  function randomInt(random, min, max) {
+    if (max < min) {
+      const tmp = min;
+      min = max;
+      max = tmp;
+    }
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  function sprayNoise(seedWriter, random, attempts, minRadius, maxRadius, density, paint) {
+    const n = seedWriter.size;
+    const setCell = paint || ((x, y) => seedWriter.setRgb(x, y));
+    for (let i = 0; i < attempts; i++) {
+      const radius = randomInt(random, minRadius, maxRadius);
+      const cx = Math.floor(random() * n);
+      const cy = Math.floor(random() * n);
+      const r2 = radius * radius;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (dx * dx + dy * dy > r2) {
+            continue;
+          }
+          const x = cx + dx;
+          const y = cy + dy;
+          if (!seedWriter.isEmpty(x, y)) {
+            continue;
+          }
+          if (random() < density) {
+            setCell(x, y);
+          }
+        }
+      }
+    }
+  }
+
+  function clearAround(seedWriter, x, y, radius) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const cx = x + dx;
+        const cy = y + dy;
+        if (!seedWriter.inBounds(cx, cy)) {
+          continue;
+        }
+        seedWriter.clearRgb(cx, cy);
+      }
+    }
+  }
+
+  // Scatters ants over `bounds` (the part of the grid that is actually on screen, or all of it),
+  // clearing a little room around each.
+  function spawnAnts(seedWriter, random, antCount, spawnAnt, bounds) {
+    const n = seedWriter.size;
+    const used = new Set();
+    bounds = bounds || { minX: 0, maxX: n - 1, minY: 0, maxY: n - 1 };
+    const minX = bounds.minX;
+    const maxX = bounds.maxX;
+    const minY = bounds.minY;
+    const maxY = bounds.maxY;
+    const spanX = Math.max(1, maxX - minX + 1);
+    const spanY = Math.max(1, maxY - minY + 1);
+    const maxAttempts = Math.min(n * n, Math.max(100, spanX * spanY * 2));
+    for (let i = 0; i < antCount; i++) {
+      let placed = false;
+      for (let attempt = 0; attempt < maxAttempts && !placed; attempt++) {
+        const x = randomInt(random, minX, maxX);
+        const y = randomInt(random, minY, maxY);
+        const key = y * n + x;
+        if (used.has(key)) {
+          continue;
+        }
+        clearAround(seedWriter, x, y, 2);
+        spawnAnt(x, y, randomInt(random, 0, 3));
+        used.add(key);
+        placed = true;
+      }
+      if (!placed) {
+        for (let y = minY; y <= maxY && !placed; y++) {
+          for (let x = minX; x <= maxX && !placed; x++) {
+            const key = y * n + x;
+            if (used.has(key)) {
+              continue;
+            }
+            clearAround(seedWriter, x, y, 2);
+            spawnAnt(x, y, randomInt(random, 0, 3));
+            used.add(key);
+            placed = true;
+          }
+        }
+      }
+    }
+  }
+
+  // Places each pattern a random number of times (skipping ones written for a different rule),
+  // in a random orientation and never overlapping, then sprinkles noise around them.
+  function seedLifeBoard(seedWriter, random, rule, patterns) {
+    const n = seedWriter.size;
+
+    function chooseOffset(size, patternSize, padding) {
+      const span = size - patternSize;
+      if (span <= 0) {
+        return 0;
+      }
+      const pad = Math.max(0, Math.min(padding | 0, span));
+      const min = pad;
+      const max = span - pad;
+      if (max < min) {
+        return Math.floor(random() * (span + 1));
+      }
+      return min + Math.floor(random() * (max - min + 1));
+    }
+
+    function canStamp(cells, offsetX, offsetY) {
+      for (let i = 0; i < cells.length; i++) {
+        const cx = offsetX + cells[i][0];
+        const cy = offsetY + cells[i][1];
+        if (!seedWriter.isEmpty(cx, cy)) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    function stampPattern(cells, offsetX, offsetY) {
+      for (let i = 0; i < cells.length; i++) {
+        const x = offsetX + cells[i][0];
+        const y = offsetY + cells[i][1];
+        seedWriter.setRgb(x, y);
+      }
+    }
+
+    function placePattern(pattern, padding) {
+      const attempts = 80;
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const rotation = (random() * 4) | 0;
+        const mirror = random() < 0.5;
+        const oriented = transformLifePattern(pattern, rotation, mirror);
+        const offsetX = chooseOffset(n, oriented.width, padding);
+        const offsetY = chooseOffset(n, oriented.height, padding);
+        if (!canStamp(oriented.cells, offsetX, offsetY)) {
+          continue;
+        }
+        stampPattern(oriented.cells, offsetX, offsetY);
+        return true;
+      }
+      return false;
+    }
+
+    for (let i = 0; i < patterns.length; i++) {
+      const pattern = patterns[i];
+      if (pattern.rule && pattern.rule.name !== rule.name) {
+        continue;
+      }
+      const count = randomInt(random, pattern.minCount, pattern.maxCount);
+      const padding = pattern.padding ?? 4;
+      let placed = 0;
+      while (placed < count) {
+        if (!placePattern(pattern, padding)) {
+          break;
+        }
+        placed++;
+      }
+    }
+
+    sprayNoise(seedWriter, random, 10, 2, 5, 0.3);
+    sprayNoise(seedWriter, random, 6, 1, 2, 0.45);
+  }
+
+  // Lays down wrapped tracks with gaps and dust for the ants to chew through, then drops 2-4 ants in `bounds`.
+  function seedAntBoard(seedWriter, random, bounds) {
+    const n = seedWriter.size;
+
+    function setTrackCell(x, y, alive) {
+      seedWriter.setChannel(x, y, 0, alive ? 255 : 0);
+    }
+
+    function drawHorizontalBand(yCenter, thickness) {
+      const half = Math.max(0, Math.floor(thickness / 2));
+      for (let dy = -half; dy <= half; dy++) {
+        const row = yCenter + dy;
+        if (row < 0 || row >= n) {
+          continue;
+        }
+        for (let x = 0; x < n; x++) {
+          setTrackCell(x, row, true);
+        }
+      }
+    }
+
+    function drawVerticalBand(xCenter, thickness) {
+      const half = Math.max(0, Math.floor(thickness / 2));
+      for (let dx = -half; dx <= half; dx++) {
+        const col = xCenter + dx;
+        if (col < 0 || col >= n) {
+          continue;
+        }
+        for (let y = 0; y < n; y++) {
+          setTrackCell(col, y, true);
+        }
+      }
+    }
+
+    function drawWrappedDiagonal(offset, thickness, slope) {
+      const half = Math.max(0, Math.floor(thickness / 2));
+      for (let x = 0; x < n; x++) {
+        const baseY = slope > 0 ? (x + offset + n) % n : ((offset - x) % n + n) % n;
+        for (let dy = -half; dy <= half; dy++) {
+          const y = (baseY + dy + n) % n;
+          setTrackCell(x, y, true);
+        }
+      }
+    }
+
+    function carveRandomGaps(count, maxLen) {
+      for (let i = 0; i < count; i++) {
+        const len = randomInt(random, 2, maxLen);
+        const horizontal = random() < 0.5;
+        const startX = randomInt(random, 0, n - 1);
+        const startY = randomInt(random, 0, n - 1);
+        for (let step = 0; step < len; step++) {
+          const x = horizontal ? startX + step : startX;
+          const y = horizontal ? startY : startY + step;
+          if (x >= n || y >= n) {
+            break;
+          }
+          setTrackCell(x, y, false);
+        }
+      }
+    }
+
+    function scatterDust(samples, probability) {
+      for (let i = 0; i < samples; i++) {
+        const x = randomInt(random, 0, n - 1);
+        const y = randomInt(random, 0, n - 1);
+        if (random() < probability) {
+          setTrackCell(x, y, true);
+        }
+      }
+    }
+
+    function spawnAnt(x, y, dir) {
+      if (!seedWriter.inBounds(x, y)) {
+        return;
+      }
+      seedWriter.clearRgb(x, y);
+      seedWriter.setChannel(x, y, 1, 255);
+      seedWriter.setChannel(x, y, 2, encodeDir(dir));
+    }
+
+    const horizontalCount = randomInt(random, 3, 4);
+    for (let i = 0; i < horizontalCount; i++) {
+      const base = Math.floor(((i + 1) * n) / (horizontalCount + 1));
+      drawHorizontalBand(base + randomInt(random, -6, 6), randomInt(random, 2, 4));
+    }
+
+    const verticalCount = randomInt(random, 3, 4);
+    for (let i = 0; i < verticalCount; i++) {
+      const base = Math.floor(((i + 1) * n) / (verticalCount + 1));
+      drawVerticalBand(base + randomInt(random, -6, 6), randomInt(random, 2, 4));
+    }
+
+    drawWrappedDiagonal(randomInt(random, 0, n - 1), randomInt(random, 1, 2), 1);
+    drawWrappedDiagonal(randomInt(random, 0, n - 1), randomInt(random, 1, 2), -1);
+
+    carveRandomGaps(50, Math.max(4, Math.floor(n * 0.08)));
+    scatterDust(150, 0.35);
+
+    spawnAnts(seedWriter, random, randomInt(random, 2, 4), spawnAnt, bounds);
+  }
+
+  // Clumps of noise; the Generations warm-up turns them into trails of dying cells.
+  function seedGenerationsBoard(seedWriter, random) {
+    function setAlive(x, y) {
+      seedWriter.setRgb(x, y, 255, 1, 0);
+    }
+
+    sprayNoise(seedWriter, random, 14, 3, 7, 0.25, setAlive);
+    sprayNoise(seedWriter, random, 8, 1, 3, 0.4, setAlive);
+  }
+
+  // A few turmites in internal state 0 on a blank board.
+  function seedTurmiteBoard(seedWriter, random, bounds) {
+    function spawnTurmite(x, y, dir) {
+      if (!seedWriter.inBounds(x, y)) {
+        return;
+      }
+      seedWriter.clearRgb(x, y);
+      seedWriter.setChannel(x, y, 1, 1);
+      seedWriter.setChannel(x, y, 2, encodeDir(dir));
+    }
+
+    spawnAnts(seedWriter, random, randomInt(random, 2, 4), spawnTurmite, bounds);
+  }
+
+  // A lone pattern in the middle of an otherwise empty board, the way embedded simulations start.
+  // `encode` turns a cell state into its [r, g, b], since Life and Generations boards store states
+  // differently. Returns false when the pattern doesn't fit.
+  function seedPatternBoard(seedWriter, pattern, encode) {
+    const n = seedWriter.size;
+    if (pattern.width > n || pattern.height > n) {
+      return false;
+    }
+    const originX = Math.floor((n - pattern.width) / 2);
+    const originY = Math.floor((n - pattern.height) / 2);
+    for (let i = 0; i < pattern.cells.length; i++) {
+      const [x, y, state = 1] = pattern.cells[i];
+      // Pattern rows run top-down but board rows run bottom-up.
+      seedWriter.setRgb(originX + x, originY + pattern.height - 1 - y, ...encode(state));
+    }
+    return true;
+  }
+
+  // CPU mirror of the Life step shader: clamp-to-edge neighbourhood, alive above half intensity,
+  // and the same (next, 0, 0, 1) output texel.
+  function stepLife(src, dst, n, rule) {
+    const { birth, survival } = rule;
+    const last = n - 1;
+    for (let y = 0; y < n; y++) {
+      const rows = [Math.max(0, y - 1) * n, y * n, Math.min(last, y + 1) * n];
+      for (let x = 0; x < n; x++) {
+        const cols = [Math.max(0, x - 1), x, Math.min(last, x + 1)];
+        let sum = 0;
+        for (let j = 0; j < 3; j++) {
+          for (let i = 0; i < 3; i++) {
+            if (i !== 1 || j !== 1) {
+              sum += src[(rows[j] + cols[i]) * 4] / 255;
+            }
+          }
+        }
+        const idx = (y * n + x) * 4;
+        const mask = src[idx] > 127 ? survival : birth;
+        dst[idx] = (mask >> Math.floor(sum + 0.5)) & 1 ? 255 : 0;
+        dst[idx + 1] = 0;
+        dst[idx + 2] = 0;
+        dst[idx + 3] = 255;
+      }
+    }
+  }
+
+  // CPU mirror of the Generations step shader: wrapped neighbourhood counting only state-1 cells (r), the
+  // state itself in g, and dying cells counting up to u_states before they vanish.
+  function stepGenerations(src, dst, n, rule) {
+    const { birth, survival, states } = rule;
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        let count = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if ((dx !== 0 || dy !== 0) && src[(((y + dy + n) % n) * n + ((x + dx + n) % n)) * 4] > 127) {
+              count++;
+            }
+          }
+        }
+        const idx = (y * n + x) * 4;
+        const state = src[idx + 1];
+        let next = 0;
+        if (state === 0) {
+          next = (birth >> count) & 1 ? 1 : 0;
+        } else if (state === 1) {
+          next = (survival >> count) & 1 ? 1 : states > 2 ? 2 : 0;
+        } else {
+          next = state + 1 < states ? state + 1 : 0;
+        }
+        dst[idx] = next === 1 ? 255 : 0;
+        dst[idx + 1] = next;
+        dst[idx + 2] = 0;
+        dst[idx + 3] = 255;
+      }
+    }
+  }
+
+  function decodeDir(value) {
+    return Math.floor((value / 255) * 4 + 0.5);
+  }
+
+  // CPU mirror of the Langton's ant step shader: every cell gathers, so an ant lands on a cell only if a
+  // wrapped neighbour's ant turns to face it (first match in -y, +x, +y, -x order wins).
+  function stepAnt(src, dst, n) {
+    const offsets = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+    const incomingDir = [2, 3, 0, 1];
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const idx = (y * n + x) * 4;
+        const color = src[idx];
+        let nextAnt = 0;
+        let nextDir = 0;
+        for (let i = 0; i < 4 && !nextAnt; i++) {
+          const nx = (x + offsets[i][0] + n) % n;
+          const ny = (y + offsets[i][1] + n) % n;
+          const nIdx = (ny * n + nx) * 4;
+          if (src[nIdx + 1] <= 127) {
+            continue;
+          }
+          const dir = decodeDir(src[nIdx + 2]);
+          const newDir = (dir + (src[nIdx] <= 127 ? 1 : 3)) % 4;
+          if (newDir === incomingDir[i]) {
+            nextAnt = 255;
+            nextDir = encodeDir(newDir);
+          }
+        }
+        dst[idx] = src[idx + 1] > 127 ? 255 - color : color;
+        dst[idx + 1] = nextAnt;
+        dst[idx + 2] = nextDir;
+        dst[idx + 3] = 255;
+      }
+    }
+  }
+
+  // CPU mirror of the turmite step shader, with the classic ant's move resolution and a table lookup.
+  function stepTurmite(src, dst, n, rule) {
+    const { table } = rule;
+    const offsets = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+    const incomingDir = [2, 3, 0, 1];
+    const lookup = (state, color) => (state * MAX_TURMITE_COLORS + color) * 3;
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const idx = (y * n + x) * 4;
+        const color = src[idx];
+        const state = src[idx + 1] - 1;
+        let nextState = -1;
+        let nextDir = 0;
+        for (let i = 0; i < 4 && nextState < 0; i++) {
+          const nx = (x + offsets[i][0] + n) % n;
+          const ny = (y + offsets[i][1] + n) % n;
+          const nIdx = (ny * n + nx) * 4;
+          const neighborState = src[nIdx + 1] - 1;
+          if (neighborState < 0) {
+            continue;
+          }
+          const entry = lookup(neighborState, src[nIdx]);
+          const newDir = (decodeDir(src[nIdx + 2]) + table[entry + 1]) % 4;
+          if (newDir === incomingDir[i]) {
+            nextState = table[entry + 2];
+            nextDir = newDir;
+          }
+        }
+        dst[idx] = state >= 0 ? table[lookup(state, color)] : color;
+        dst[idx + 1] = nextState + 1;
+        dst[idx + 2] = encodeDir(nextDir);
+        dst[idx + 3] = 255;
+      }
+    }
+  }
+
+  // Decodes a board into one state byte per cell, rows top-down like a pattern file.
+  function boardToStates(data, n, decode = (texels, i) => (texels[i] > 127 ? 1 : 0)) {
+    const states = new Uint8Array(n * n);
+    for (let y = 0; y < n; y++) {
+      const row = (n - 1 - y) * n;
+      for (let x = 0; x < n; x++) {
+        states[y * n + x] = decode(data, (row + x) * 4);
+      }
+    }
+    return states;
+  }
+
+  const CPU_STEPS = {
+    life: (src, dst, n, rule) => stepLife(src, dst, n, rule),
+    ant: (src, dst, n) => stepAnt(src, dst, n),
+    generations: (src, dst, n, rule) => stepGenerations(src, dst, n, rule),
+    turmite: (src, dst, n, rule) => stepTurmite(src, dst, n, rule),
+  };
+
+  const CPU_DEFAULT_RULES = {
+    life: () => parseLifeRule('B3/S23'),
+    generations: () => parseLifeRule('B2/S/C3'),
+    turmite: () => parseTurmiteRule('LLRR'),
+  };
+
+  // A board of any mode stepped on the CPU. Given the same `random` (and, for ants and turmites, the same
+  // visible `bounds`) it seeds and warms up exactly like the WebGL simulation, so the two stay texel-identical.
+  // Pass `data` instead to start from an existing board, e.g. a stamped test pattern.
+  function createCpuSimulation(mode, n, options = {}) {
+    if (!CPU_STEPS[mode]) {
+      throw new Error(`No CPU backend for mode "${mode}"`);
+    }
+    let rule = mode === 'ant' ? null : options.rule || CPU_DEFAULT_RULES[mode]();
+    let front = new Uint8Array(n * n * 4);
+    let back = new Uint8Array(n * n * 4);
+    let generation = 0;
+
+    function step(iterations = 1) {
+      for (let i = 0; i < iterations; i++) {
+        CPU_STEPS[mode](front, back, n, rule);
+        const tmp = front;
+        front = back;
+        back = tmp;
+        generation++;
+      }
+    }
+
+    if (options.data) {
+      front.set(options.data);
+    } else {
+      const random = options.random || Math.random;
+      const seedWriter = new SeedWriter(n);
+      seedWriter.fillChannel(3, 255);
+      if (mode === 'life') {
+        seedLifeBoard(seedWriter, random, rule, options.patterns || []);
+        front.set(seedWriter.data);
+        step(randomInt(random, 60, 120));
+        generation = 0;
+      } else if (mode === 'generations') {
+        seedGenerationsBoard(seedWriter, random);
+        front.set(seedWriter.data);
+        step(randomInt(random, 20, 40));
+        generation = 0;
+      } else if (mode === 'turmite') {
+        seedTurmiteBoard(seedWriter, random, options.bounds);
+        front.set(seedWriter.data);
+      } else {
+        seedAntBoard(seedWriter, random, options.bounds);
+        front.set(seedWriter.data);
+      }
+    }
+
+    return {
+      mode,
+      size: n,
+      get data() {
+        return front;
+      },
+      get generation() {
+        return generation;
+      },
+      step,
+      setRule(nextRule) {
+        rule = nextRule;
+      },
+      getCell(x, y) {
+        const idx = (y * n + x) * 4;
+        return front.slice(idx, idx + 4);
+      },
+      setCell(x, y, rgba) {
+        if (x >= 0 && x < n && y >= 0 && y < n) {
+          front.set(rgba, (y * n + x) * 4);
+        }
+      },
+      readStates(decode) {
+        return boardToStates(front, n, decode);
+      },
+    };
+  }
+
+  function encodeRleState(state, multistate) {
+    if (!multistate) {
+      return state ? 'o' : 'b';
+    }
+    if (!state) {
+      return '.';
+    }
+    const prefix = Math.floor((state - 1) / 24);
+    const letter = String.fromCharCode(64 + state - prefix * 24);
+    return prefix ? String.fromCharCode(111 + prefix) + letter : letter;
+  }
+
+  // Standard RLE for a grid of states: cropped to the live bounding box, trailing dead cells
+  // dropped, blank rows folded into "n$" and lines wrapped at 70 characters.
+  function encodeRle(states, n, rule) {
+    let minX = n;
+    let minY = n;
+    let maxX = -1;
+    let maxY = -1;
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        if (states[y * n + x]) {
+          minX = Math.min(minX, x);
+          maxX = Math.max(maxX, x);
+          minY = Math.min(minY, y);
+          maxY = Math.max(maxY, y);
+        }
+      }
+    }
+    const width = maxX < 0 ? 0 : maxX - minX + 1;
+    const height = maxY < 0 ? 0 : maxY - minY + 1;
+    const multistate = rule.states > 2;
+    const tokens = [];
+    let pendingRows = 0;
+
+    function pushRun(count, token) {
+      tokens.push(count > 1 ? count + token : token);
+    }
+
+    for (let y = minY; y <= maxY; y++) {
+      let x = minX;
+      let lastLive = maxX;
+      while (lastLive >= minX && !states[y * n + lastLive]) {
+        lastLive--;
+      }
+      if (lastLive < minX) {
+        pendingRows++;
+        continue;
+      }
+      if (pendingRows) {
+        pushRun(pendingRows, '$');
+        pendingRows = 0;
+      }
+      while (x <= lastLive) {
+        const state = states[y * n + x];
+        let run = 1;
+        while (x + run <= lastLive && states[y * n + x + run] === state) {
+          run++;
+        }
+        pushRun(run, encodeRleState(state, multistate));
+        x += run;
+      }
+      pendingRows = 1;
+    }
+    tokens.push('!');
+
+    const lines = [`x = ${width}, y = ${height}, rule = ${rule.name}`];
+    let line = '';
+    for (let i = 0; i < tokens.length; i++) {
+      if (line.length + tokens[i].length > 70) {
+        lines.push(line);
+        line = '';
+      }
+      line += tokens[i];
+    }
+    lines.push(line);
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    MAX_GENERATIONS_STATES,
+    MAX_TURMITE_COLORS,
+    MAX_TURMITE_STATES,
+    SeedWriter,
+    encodeDir,
+    decodeDir,
+    parseLifeRule,
+    parseTurmiteRule,
+    parseLifeRle,
+    parseLifePlaintext,
+    parseLife10x,
+    detectPatternFormat,
+    parsePattern,
+    transformLifePattern,
+    compilePatterns,
+    createRandom,
+    parseSeed,
+    randomInt,
+    sprayNoise,
+    clearAround,
+    spawnAnts,
+    seedLifeBoard,
+    seedAntBoard,
+    seedGenerationsBoard,
+    seedTurmiteBoard,
+    seedPatternBoard,
+    stepLife,
+    stepGenerations,
+    stepAnt,
+    stepTurmite,
+    boardToStates,
+    createCpuSimulation,
+    encodeRle,
+  };
+});
@@ -0,0 +1,193 @@
+// Runs one runnable code block for runnable.js, away from the page: no DOM, no access to the main thread,
+// and the page can terminate it at any time. Receives { kind: "js" | "wat", source, files, call } and answers with
+// { type: "log", level, text } messages followed by one { type: "done" } or { type: "error", text }.
+//
+// `files` maps names like "square.wasm" to WAT sources from earlier blocks on the page; fetch() serves
+// them assembled, so the post's own `fetch('square.wasm')` examples work unchanged.
+(function () {
+  const WABT_URL = '/assets/vendor/wabt.js';
+  const post = self.postMessage.bind(self);
+  const realSetTimeout = self.setTimeout.bind(self);
+  const realClearTimeout = self.clearTimeout.bind(self);
+  const realImportScripts = self.importScripts.bind(self);
+
+  const isError = (value) => Object.prototype.toString.call(value) === '[object Error]';
+
+  // Values printed roughly the way a browser console would; `format` leaves top-level strings unquoted
+  const inspect = (value, seen = new Set()) => {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'function') return `[Function ${value.name || '(anonymous)'}]`;
+    if (isError(value)) return `${value.name}: ${value.message}`;
+    if (value === null || typeof value !== 'object') return String(value);
+    if (seen.has(value)) return '[Circular]';
+    if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+      return `${value.constructor.name}(${value.length}) [${Array.from(value.slice(0, 16), String).join(', ')}${value.length > 16 ? ', ...' : ''}]`;
+    }
+    if (value instanceof WebAssembly.Memory) return `Memory { pages: ${value.buffer.byteLength / 65536} }`;
+    if (value instanceof WebAssembly.Instance) return `Instance { exports: ${inspect(value.exports, seen)} }`;
+    seen.add(value);
+    const text = Array.isArray(value)
+      ? `[${value.map((item) => inspect(item, seen)).join(', ')}]`
+      : `{ ${Object.keys(value).map((key) => `${key}: ${inspect(value[key], seen)}`).join(', ')} }`.replace('{  }', '{}');
+    seen.delete(value);
+    return text;
+  };
+  const format = (args) => args.map((arg) => (typeof arg === 'string' ? arg : inspect(arg))).join(' ');
+  const log = (level, text) => post({ type: 'log', level, text });
+
+  for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[level] = (...args) => log(level === 'debug' ? 'log' : level, format(args));
+  }
+
+  // Async work still in flight. The run is over once the code has returned and nothing is pending, so
+  // an un-awaited `init()` still gets to print before the page is told the run finished.
+  let pending = 0;
+  let returned = false;
+  let finished = false;
+  const timers = new Set();
+  const finish = (message) => {
+    if (finished) return;
+    finished = true;
+    post(message);
+  };
+  const checkDone = () => {
+    if (!returned || pending > 0 || timers.size > 0) return;
+    // One more turn, so callbacks chained on the last settled promise run first
+    realSetTimeout(() => {
+      if (returned && pending === 0 && timers.size === 0) finish({ type: 'done' });
+    }, 0);
+  };
+  const track = (promise) => {
+    pending++;
+    return Promise.resolve(promise).finally(() => {
+      pending--;
+      checkDone();
+    });
+  };
+
+  self.setTimeout = (callback, delay, ...args) => {
+    const id = realSetTimeout(() => {
+      timers.delete(id);
+      try {
+        if (typeof callback === 'function') callback(...args);
+      } finally {
+        checkDone();
+      }
+    }, delay);
+    timers.add(id);
+    return id;
+  };
+  self.clearTimeout = (id) => {
+    realClearTimeout(id);
+    if (timers.delete(id)) checkDone();
+  };
+
+  for (const name of ['instantiate', 'instantiateStreaming', 'compile', 'compileStreaming']) {
+    const original = WebAssembly[name];
+    if (original) WebAssembly[name] = (...args) => track(original.apply(WebAssembly, args));
+  }
+
+  self.addEventListener('error', (event) => {
+    event.preventDefault();
+    finish({ type: 'error', text: event.message || String(event.error) });
+  });
+  self.addEventListener('unhandledrejection', (event) => {
+    event.preventDefault();
+    finish({ type: 'error', text: `Uncaught (in promise) ${inspect(event.reason)}` });
+  });
+
+  let wabt = null;
+  const assemble = async (name, source) => {
+    if (!wabt) {
+      realImportScripts(WABT_URL);
+      wabt = await self.WabtModule();
+    }
+    let module = null;
+    try {
+      module = wabt.parseWat(name, source);
+      module.resolveNames();
+      module.validate();
+      return module.toBinary({}).buffer;
+    } finally {
+      if (module) module.destroy();
+    }
+  };
+
+  // Stubs for whatever a module imports: functions print their calls, the rest are the smallest thing
+  // that links.
+  const stubImports = (module) => {
+    const imports = {};
+    for (const { module: namespace, name, kind } of WebAssembly.Module.imports(module)) {
+      const target = (imports[namespace] = imports[namespace] || {});
+      if (kind === 'function') {
+        target[name] = (...args) => log('info', `${namespace}.${name}(${args.map(inspect).join(', ')})`);
+      } else if (kind === 'memory') {
+        target[name] = new WebAssembly.Memory({ initial: 1 });
+      } else if (kind === 'table') {
+        target[name] = new WebAssembly.Table({ initial: 0, element: 'anyfunc' });
+      } else if (kind === 'global') {
+        target[name] = new WebAssembly.Global({ value: 'i32', mutable: false }, 0);
+      }
+    }
+    return imports;
+  };
+
+  // `square(12)` or `add(1, 2n)`: an export name and number literals, BigInts for i64 parameters
+  const parseCall = (call) => {
+    const match = call.match(/^\s*([\w$.]+)\s*\(([^)]*)\)\s*$/);
+    if (!match) throw new Error(`Can't understand call="${call}"; expected something like square(12)`);
+    const args = match[2].split(',').map((arg) => arg.trim()).filter(Boolean).map((arg) => {
+      if (/^-?\d+n$/.test(arg)) return BigInt(arg.slice(0, -1));
+      if (Number.isNaN(Number(arg))) throw new Error(`call="${call}": ${arg} is not a number`);
+      return Number(arg);
+    });
+    return { name: match[1], args };
+  };
+
+  const runWat = async (source, call) => {
+    const bytes = await assemble('input.wat', source);
+    const module = await WebAssembly.compile(bytes);
+    const { exports } = await WebAssembly.instantiate(module, stubImports(module));
+    const names = WebAssembly.Module.exports(module).map(({ name, kind }) => `${name} (${kind})`);
+    log('log', `Assembled ${bytes.byteLength} bytes${names.length ? `, exports: ${names.join(', ')}` : ', no exports'}`);
+    if (!call) return;
+    const { name, args } = parseCall(call);
+    if (typeof exports[name] !== 'function') throw new Error(`The module exports no function called "${name}"`);
+    const result = exports[name](...args);
+    log('log', `${name}(${args.map(inspect).join(', ')})${result === undefined ? '' : ` = ${inspect(result)}`}`);
+  };
+
+  const runJs = async (source) => {
+    const AsyncFunction = (async () => {}).constructor;
+    await new AsyncFunction(source)();
+  };
+
+  self.onmessage = async ({ data }) => {
+    const { kind, source, files = {}, call } = data;
+
+    // fetch() only serves the page's WAT files, and the worker's other ways out are switched off so an example
+    // can't reach the network or the site's storage by accident. This is a convenience, not a sandbox.
+    self.fetch = (input) => {
+      const url = typeof input === 'string' ? input : input && input.url;
+      const name = String(url).split(/[?#]/)[0].split('/').pop();
+      if (!Object.prototype.hasOwnProperty.call(files, name)) {
+        const available = Object.keys(files);
+        return Promise.reject(new TypeError(`fetch('${url}') is not available here${available.length ? `; try ${available.map((file) => `'${file}'`).join(' or ')}` : ''}`));
+      }
+      return track(assemble(name, files[name]).then((bytes) =>
+        new Response(bytes, { headers: { 'Content-Type': 'application/wasm' } })));
+    };
+    for (const name of ['importScripts', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'BroadcastChannel', 'indexedDB', 'caches']) {
+      Object.defineProperty(self, name, { value: undefined, configurable: true, writable: true });
+    }
+
+    try {
+      await (kind === 'wat' ? runWat(source, call) : runJs(source));
+      returned = true;
+      checkDone();
+    } catch (err) {
+      finish({ type: 'error', text: isError(err) ? inspect(err) : `Uncaught ${inspect(err)}` });
+    }
+  };
+})();
@@ -0,0 +1,125 @@
+(function () {
+  const blocks = Array.from(document.querySelectorAll('.code-runnable'));
+  if (!blocks.length || !window.Worker) return;
+
+  // Every run gets a fresh worker (see runnable-worker.js), stopped if it outlives the limit or floods
+  // the output.
+  const WORKER_URL = '/assets/runnable-worker.js';
+  const TIME_LIMIT_MS = 5000;
+  const MAX_LINES = 200;
+
+  const sourceOf = (block) => block.querySelector('pre code').innerText.replace(/\n$/, '');
+
+  // WAT blocks named with `file=` above this one, by name; a later block with the same name wins
+  const filesBefore = (block) => {
+    const files = {};
+    for (const other of blocks) {
+      if (other === block) break;
+      if (other.dataset.runnable === 'wat' && other.dataset.file) files[other.dataset.file] = sourceOf(other);
+    }
+    return files;
+  };
+
+  const setup = (block) => {
+    const code = block.querySelector('pre code');
+    const runBtn = block.querySelector('.code-run');
+    const resetBtn = block.querySelector('.code-reset');
+    const output = block.querySelector('.code-output');
+    if (!code || !runBtn || !resetBtn || !output) return;
+
+    const original = code.innerHTML;
+    let worker = null;
+    let timer = 0;
+    let lines = 0;
+
+    try {
+      code.contentEditable = 'plaintext-only';
+    } catch (e) {
+      code.contentEditable = 'true';
+    }
+    code.spellcheck = false;
+    code.setAttribute('role', 'textbox');
+    code.setAttribute('aria-multiline', 'true');
+    code.setAttribute('aria-label', `Editable ${block.dataset.runnable === 'wat' ? 'WAT' : 'JavaScript'} code, Ctrl+Enter to run`);
+
+    const print = (text, kind) => {
+      if (lines === MAX_LINES) return;
+      lines++;
+      const line = document.createElement('div');
+      line.className = `code-output-line code-output-${kind}`;
+      line.textContent = lines === MAX_LINES ? `Output stopped after ${MAX_LINES} lines` : text;
+      output.appendChild(line);
+      if (lines === MAX_LINES) stop();
+    };
+
+    const stop = (note) => {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+      window.clearTimeout(timer);
+      if (note) print(note, 'muted');
+      else if (!lines) print('(no output)', 'muted');
+      runBtn.textContent = 'Run';
+      delete block.dataset.running;
+    };
+
+    const run = () => {
+      stop();
+      output.textContent = '';
+      output.hidden = false;
+      lines = 0;
+      worker = new Worker(WORKER_URL);
+      worker.addEventListener('message', ({ data }) => {
+        if (data.type === 'log') print(data.text, data.level);
+        else if (data.type === 'error') {
+          print(data.text, 'error');
+          stop();
+        } else if (data.type === 'done') stop();
+      });
+      worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        print(event.message || 'The code could not be run', 'error');
+        stop();
+      });
+      timer = window.setTimeout(() => stop(`Stopped after ${TIME_LIMIT_MS / 1000} seconds`), TIME_LIMIT_MS);
+      worker.postMessage({
+        kind: block.dataset.runnable,
+        source: sourceOf(block),
+        files: filesBefore(block),
+        call: block.dataset.call,
+      });
+      runBtn.textContent = 'Stop';
+      block.dataset.running = '';
+    };
+
+    runBtn.addEventListener('click', () => (worker ? stop('Stopped') : run()));
+
+    resetBtn.addEventListener('click', () => {
+      stop();
+      code.innerHTML = original;
+      output.textContent = '';
+      output.hidden = true;
+      resetBtn.hidden = true;
+    });
+
+    code.addEventListener('input', () => {
+      resetBtn.hidden = false;
+    });
+
+    code.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        run();
+      }
+    });
+
+    // Where only contentEditable="true" exists, keep pasted text plain
+    code.addEventListener('paste', (event) => {
+      if (code.contentEditable === 'plaintext-only' || !event.clipboardData) return;
+      event.preventDefault();
+      document.execCommand('insertText', false, event.clipboardData.getData('text/plain'));
+    });
+  };
+
+  blocks.forEach(setup);
+})();
@@ -0,0 +1,226 @@
+(function () {
+  const root = document.querySelector('.site-search');
+  if (!root) return;
+
+  const input = root.querySelector('.site-search-input');
+  const list = root.querySelector('.site-search-results');
+  const INDEX_URL = root.dataset.index || '/search.json';
+  const MAX_RESULTS = 8;
+  const SNIPPET_RADIUS = 60;
+  // Points per matched term; a post has to match every term somewhere to be listed.
+  const WEIGHTS = { title: 12, heading: 8, code: 5, text: 1 };
+  const MAX_TEXT_HITS = 5;
+
+  let indexPromise = null;
+  let results = [];
+  let activeIndex = -1;
+
+  // The index is only fetched once somebody actually starts searching.
+  const loadIndex = () => {
+    if (!indexPromise) {
+      indexPromise = fetch(INDEX_URL)
+        .then((response) => {
+          if (!response.ok) throw new Error(`search index: HTTP ${response.status}`);
+          return response.json();
+        })
+        .then((index) => index.posts.map((post) => ({
+          ...post,
+          titleLower: post.title.toLowerCase(),
+          codeLower: post.code.map((name) => name.toLowerCase()),
+          sections: post.sections.map((section) => ({
+            ...section,
+            headingLower: section.heading.toLowerCase(),
+            textLower: section.text.toLowerCase(),
+          })),
+        })))
+        .catch((err) => {
+          indexPromise = null;
+          throw err;
+        });
+    }
+    return indexPromise;
+  };
+
+  const escapeHtml = (text) => text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const parseQuery = (query) => [...new Set(query.toLowerCase().split(/[^\p{L}\p{N}_$]+/u).filter(Boolean))];
+
+  const countOccurrences = (haystack, term) => {
+    let count = 0;
+    for (let at = haystack.indexOf(term); at !== -1 && count < MAX_TEXT_HITS; at = haystack.indexOf(term, at + term.length)) {
+      count++;
+    }
+    return count;
+  };
+
+  // Matches that start a word count double, so "rule" ranks "rule parsing" above "ruler".
+  const fieldScore = (haystack, term, weight) => {
+    const at = haystack.indexOf(term);
+    if (at === -1) return 0;
+    const atWordStart = at === 0 || /[^\p{L}\p{N}_$]/u.test(haystack[at - 1]);
+    return atWordStart ? weight * 2 : weight;
+  };
+
+  // { post, section, score } for the best section of every post that matches all terms
+  const search = (posts, terms) => {
+    const found = [];
+    for (const post of posts) {
+      let postScore = 0;
+      let matchedAll = true;
+      for (const term of terms) {
+        const titleScore = fieldScore(post.titleLower, term, WEIGHTS.title);
+        const codeScore = post.codeLower.some((name) => name === term) ? WEIGHTS.code * 2
+          : post.codeLower.some((name) => name.includes(term)) ? WEIGHTS.code : 0;
+        const inSections = post.sections.some((section) =>
+          section.headingLower.includes(term) || section.textLower.includes(term));
+        if (!titleScore && !codeScore && !inSections) {
+          matchedAll = false;
+          break;
+        }
+        postScore += titleScore + codeScore;
+      }
+      if (!matchedAll) continue;
+
+      let best = post.sections[0] || null;
+      let bestScore = 0;
+      for (const section of post.sections) {
+        let score = 0;
+        for (const term of terms) {
+          score += fieldScore(section.headingLower, term, WEIGHTS.heading);
+          score += countOccurrences(section.textLower, term) * WEIGHTS.text;
+        }
+        if (score > bestScore) {
+          best = section;
+          bestScore = score;
+        }
+      }
+      found.push({ post, section: best, score: postScore + bestScore });
+    }
+    return found.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+  };
+
+  // Escapes `text` and wraps every occurrence of a term in <mark>
+  const highlight = (text, terms) => {
+    const pattern = new RegExp(terms.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|'), 'gi');
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+      html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+  };
+
+  // A window of the section text around its first match
+  const snippet = (section, terms) => {
+    if (!section || !section.text) return '';
+    const hits = terms.map((term) => section.textLower.indexOf(term)).filter((at) => at !== -1);
+    const at = hits.length ? Math.min(...hits) : 0;
+    const start = Math.max(0, at - SNIPPET_RADIUS);
+    const end = Math.min(section.text.length, at + SNIPPET_RADIUS * 2);
+    return (start > 0 ? '…' : '') + section.text.slice(start, end).trim() + (end < section.text.length ? '…' : '');
+  };
+
+  const setActive = (index) => {
+    const items = list.querySelectorAll('.site-search-result');
+    activeIndex = items.length ? (index + items.length) % items.length : -1;
+    items.forEach((item, i) => item.setAttribute('aria-selected', i === activeIndex ? 'true' : 'false'));
+    if (activeIndex === -1) {
+      input.removeAttribute('aria-activedescendant');
+    } else {
+      input.setAttribute('aria-activedescendant', items[activeIndex].id);
+      items[activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+  };
+
+  const close = () => {
+    list.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  };
+
+  const showMessage = (message) => {
+    results = [];
+    list.innerHTML = `<li class="site-search-empty">${escapeHtml(message)}</li>`;
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    setActive(-1);
+  };
+
+  const render = (terms) => {
+    if (!results.length) {
+      showMessage('No matches');
+      return;
+    }
+    list.innerHTML = results.map(({ post, section }, i) => {
+      const href = section && section.id ? `${post.url}#${section.id}` : post.url;
+      const heading = section && section.heading
+        ? `<span class="site-search-heading">${highlight(section.heading, terms)}</span>` : '';
+      const text = snippet(section, terms);
+      return `<li class="site-search-result" id="site-search-result-${i}" role="option" aria-selected="false">`
+        + `<a href="${escapeHtml(href)}" tabindex="-1">`
+        + `<span class="site-search-title">${highlight(post.title, terms)}</span>${heading}`
+        + (text ? `<span class="site-search-snippet">${highlight(text, terms)}</span>` : '')
+        + '</a></li>';
+    }).join('');
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    setActive(-1);
+  };
+
+  let queryToken = 0;
+  const update = () => {
+    const terms = parseQuery(input.value);
+    const token = ++queryToken;
+    if (!terms.length) {
+      results = [];
+      close();
+      return;
+    }
+    loadIndex().then((posts) => {
+      if (token !== queryToken) return;
+      results = search(posts, terms);
+      render(terms);
+    }).catch(() => {
+      if (token === queryToken) showMessage('Search is unavailable right now');
+    });
+  };
+
+  input.addEventListener('focus', () => {
+    loadIndex().catch(() => {});
+    if (input.value) update();
+  });
+  input.addEventListener('input', update);
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (list.hidden || !results.length) return;
+      event.preventDefault();
+      setActive(activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+    } else if (event.key === 'Enter') {
+      const target = results.length ? list.querySelectorAll('.site-search-result a')[Math.max(activeIndex, 0)] : null;
+      if (!target) return;
+      event.preventDefault();
+      window.location.href = target.href;
+    } else if (event.key === 'Escape') {
+      if (list.hidden) {
+        input.value = '';
+        input.blur();
+      }
+      close();
+    }
+  });
+
+  // Keep the list open while a result is being clicked
+  list.addEventListener('mousedown', (event) => event.preventDefault());
+  input.addEventListener('blur', close);
+
+  // "/" focuses the search box from anywhere that isn't already taking text
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return;
+    const target = event.target;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+    event.preventDefault();
+    input.focus();
+  });
+})();
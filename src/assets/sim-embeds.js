@@ -0,0 +1,124 @@
+(function () {
+  const figures = document.querySelectorAll('.sim-embed');
+  if (!figures.length || !window.GOL || !window.GOL.create || !window.GOLCore) return;
+
+  const { SeedWriter, encodeDir, seedPatternBoard } = window.GOLCore;
+
+  // Texels for a live cell, matching what the background's paint tools write in each mode
+  const CELL_TEXELS = {
+    life: () => [255, 0, 0],
+    generations: (state) => [state === 1 ? 255 : 0, state, 0],
+  };
+  // Heading 2 is up the screen (see getDragDirection in game-of-life.js); the ant's g channel marks it
+  // alive, as 255 for the classic ant and as internal state + 1 for turmites.
+  const ANT_TEXELS = {
+    ant: [0, 255, encodeDir(2)],
+    turmite: [0, 1, encodeDir(2)],
+  };
+
+  // The starting board for an embed, or null when its pattern is missing or too big
+  const createBoard = ({ mode, pattern, size }) => {
+    const seedWriter = new SeedWriter(size);
+    seedWriter.fillChannel(3, 255);
+    if (ANT_TEXELS[mode]) {
+      const center = Math.floor(size / 2);
+      seedWriter.setRgb(center, center, ...ANT_TEXELS[mode]);
+      return seedWriter.data;
+    }
+    const found = window.GOL.getPattern(pattern);
+    return found && seedPatternBoard(seedWriter, found, CELL_TEXELS[mode]) ? seedWriter.data : null;
+  };
+
+  const setup = (figure) => {
+    const canvas = figure.querySelector('.sim-embed-canvas');
+    const status = figure.querySelector('.sim-embed-status');
+    const buttons = figure.querySelectorAll('[data-sim-action]');
+    const playBtn = figure.querySelector('[data-sim-action="play"]');
+    if (!canvas || !status || !playBtn) return null;
+
+    const config = {
+      mode: figure.dataset.mode,
+      rule: figure.dataset.rule,
+      pattern: figure.dataset.pattern,
+      size: Number(figure.dataset.size),
+    };
+    const speed = Number(figure.dataset.speed) || 10;
+    let instance = null;
+    let failed = false;
+    let shownGeneration = -1;
+
+    const showState = () => {
+      const playing = instance && !instance.isPaused();
+      playBtn.textContent = playing ? 'Pause' : 'Play';
+      playBtn.setAttribute('aria-pressed', playing ? 'true' : 'false');
+    };
+
+    const showGeneration = (sim) => {
+      if (sim.generation === shownGeneration) return;
+      shownGeneration = sim.generation;
+      status.textContent = `Generation ${shownGeneration}`;
+    };
+
+    // The canvas and its context are only set up once the embed first comes into view.
+    const ensure = () => {
+      if (instance || failed) return instance;
+      const data = createBoard(config);
+      instance = data && window.GOL.create(canvas, {
+        mode: config.mode,
+        rule: config.rule,
+        size: config.size,
+        data,
+        stepMs: 1000 / speed,
+        paused: true,
+        onDraw: showGeneration,
+      });
+      if (!instance) {
+        failed = true;
+        figure.dataset.simState = 'unsupported';
+        status.textContent = data ? 'This browser cannot draw the simulation' : 'This simulation could not be set up';
+        buttons.forEach((button) => {
+          button.disabled = true;
+        });
+      }
+      return instance;
+    };
+
+    buttons.forEach((button) => {
+      button.addEventListener('click', () => {
+        if (!ensure()) return;
+        const action = button.dataset.simAction;
+        if (action === 'play') {
+          if (instance.isPaused()) instance.play();
+          else instance.pause();
+        } else if (action === 'step') {
+          instance.step();
+        } else if (action === 'reset') {
+          instance.reset();
+        }
+        showState();
+      });
+    });
+
+    return {
+      setVisible(visible) {
+        if (visible) ensure();
+        if (instance) instance.setVisible(visible);
+      },
+    };
+  };
+
+  const embeds = new Map();
+  figures.forEach((figure) => {
+    const embed = setup(figure);
+    if (embed) embeds.set(figure, embed);
+  });
+
+  if (!window.IntersectionObserver) {
+    embeds.forEach((embed) => embed.setVisible(true));
+    return;
+  }
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => embeds.get(entry.target).setVisible(entry.isIntersecting));
+  }, { rootMargin: '100px 0px' });
+  embeds.forEach((embed, figure) => observer.observe(figure));
+})();
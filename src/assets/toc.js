@@ -0,0 +1,66 @@
+(function () {
+  const toc = document.querySelector('.toc');
+  if (!toc) return;
+
+  // A section counts as being read once its heading passes this fraction of the viewport height.
+  const ACTIVE_LINE = 0.25;
+
+  const entries = [...toc.querySelectorAll('.toc-item > a')]
+    .map((link) => ({ link, heading: document.getElementById(decodeURIComponent(link.hash.slice(1))) }))
+    .filter((entry) => entry.heading);
+  if (!entries.length) return;
+
+  let active = null;
+  let frame = 0;
+
+  const setActive = (entry) => {
+    if (entry === active) return;
+    toc.querySelectorAll('.toc-item-active, .toc-item-open').forEach((item) => {
+      item.classList.remove('toc-item-active', 'toc-item-open');
+    });
+    if (active) active.link.removeAttribute('aria-current');
+    active = entry;
+    if (!entry) return;
+    entry.link.setAttribute('aria-current', 'location');
+    const item = entry.link.parentElement;
+    item.classList.add('toc-item-active');
+    // Parents of a nested h3 stay marked so the reader can see which part they are in.
+    for (let parent = item.parentElement.closest('.toc-item'); parent; parent = parent.parentElement.closest('.toc-item')) {
+      parent.classList.add('toc-item-open');
+    }
+    // Keep the active entry visible when the TOC itself scrolls.
+    if (toc.scrollHeight > toc.clientHeight) {
+      const linkTop = entry.link.offsetTop;
+      if (linkTop < toc.scrollTop || linkTop > toc.scrollTop + toc.clientHeight - entry.link.offsetHeight) {
+        toc.scrollTop = linkTop - toc.clientHeight / 2;
+      }
+    }
+  };
+
+  const update = () => {
+    frame = 0;
+    const line = window.innerHeight * ACTIVE_LINE;
+    let current = null;
+    for (const entry of entries) {
+      if (entry.heading.getBoundingClientRect().top > line) break;
+      current = entry;
+    }
+    setActive(current);
+
+    const content = document.querySelector('.content');
+    if (content) {
+      const rect = content.getBoundingClientRect();
+      const scrollable = rect.height - window.innerHeight;
+      const progress = scrollable > 0 ? Math.min(Math.max(-rect.top / scrollable, 0), 1) : 1;
+      toc.style.setProperty('--reading-progress', progress.toFixed(3));
+    }
+  };
+
+  const schedule = () => {
+    if (!frame) frame = window.requestAnimationFrame(update);
+  };
+
+  window.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', schedule);
+  update();
+})();
@@ -0,0 +1,180 @@
+// The simulation core runs the same rules the background's shaders do, so it's tested here on the CPU
+// with boards in the same RGBA texel layout.
+const test = require("node:test");
+const assert = require("node:assert");
+const GOLCore = require("../src/assets/gol-core");
+
+const GLIDER_RLE = "#N Glider\n#O Richard K. Guy\n#C The smallest spaceship.\nx = 3, y = 3, rule = B3/S23\nbo$2bo$3o!\n";
+const GLIDER_CELLS = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+
+// A board with the given cells alive, in texel coordinates
+function lifeBoard(n, cells, dx = 0, dy = 0) {
+  const seedWriter = new GOLCore.SeedWriter(n);
+  seedWriter.fillChannel(3, 255);
+  cells.forEach(([x, y]) => seedWriter.setRgb(x + dx, y + dy, 255, 0, 0));
+  return seedWriter.data;
+}
+
+function liveCells(data, n, channel = 0) {
+  const cells = [];
+  for (let i = 0; i < n * n; i++) {
+    if (data[i * 4 + channel] > 127) cells.push([i % n, Math.floor(i / n)]);
+  }
+  return cells;
+}
+
+test("parseLifeRule reads B/S, S/B and Generations notation", () => {
+  assert.deepStrictEqual(GOLCore.parseLifeRule("B36/S23"), { name: "B36/S23", birth: 72, survival: 12, states: 2 });
+  assert.strictEqual(GOLCore.parseLifeRule("S23/B3").name, "B3/S23");
+  assert.strictEqual(GOLCore.parseLifeRule("23/3").name, "B3/S23");
+  assert.deepStrictEqual(GOLCore.parseLifeRule("B2/S/C3"), { name: "B2/S/C3", birth: 4, survival: 0, states: 3 });
+  assert.strictEqual(GOLCore.parseLifeRule("345/2/4").name, "B2/S345/C4");
+  assert.strictEqual(GOLCore.parseLifeRule("B9/S23"), null);
+  assert.strictEqual(GOLCore.parseLifeRule("B3/S23/C1"), null);
+  assert.strictEqual(GOLCore.parseLifeRule(42), null);
+});
+
+test("parseTurmiteRule reads turn strings and state tables", () => {
+  const ant = GOLCore.parseTurmiteRule("rl");
+  assert.strictEqual(ant.name, "RL");
+  assert.strictEqual(ant.colors, 2);
+  assert.strictEqual(ant.states, 1);
+  // Colour 0 writes 1 and turns right; colour 1 writes 0 and turns left
+  assert.deepStrictEqual(Array.from(ant.table.slice(0, 6)), [1, 1, 0, 0, 3, 0]);
+
+  const table = GOLCore.parseTurmiteRule("{{{1, 2, 0}, {0, 8, 0}}}");
+  assert.strictEqual(table.name, "{{{1,2,0},{0,8,0}}}");
+  assert.strictEqual(table.colors, 2);
+  assert.strictEqual(table.states, 1);
+
+  assert.strictEqual(GOLCore.parseTurmiteRule("R"), null);
+  assert.strictEqual(GOLCore.parseTurmiteRule("{{{2,2,0},{0,8,0}}}"), null);
+  assert.strictEqual(GOLCore.parseTurmiteRule("{{{1,2,1},{0,8,0}}}"), null);
+  assert.strictEqual(GOLCore.parseTurmiteRule("{{{1,2,0"), null);
+});
+
+test("parseLifeRle reads cells, rule and metadata", () => {
+  const glider = GOLCore.parseLifeRle(GLIDER_RLE);
+  assert.deepStrictEqual(glider.cells, GLIDER_CELLS);
+  assert.strictEqual(glider.width, 3);
+  assert.strictEqual(glider.height, 3);
+  assert.strictEqual(glider.rule.name, "B3/S23");
+  assert.deepStrictEqual(glider.meta, { name: "Glider", author: "Richard K. Guy", comments: ["The smallest spaceship."] });
+
+  const multistate = GOLCore.parseLifeRle("x = 4, y = 1, rule = B2/S/C3\n2A.B!");
+  assert.deepStrictEqual(multistate.cells, [[0, 0], [1, 0], [3, 0, 2]]);
+});
+
+test("parseLifePlaintext reads .cells files", () => {
+  const glider = GOLCore.parseLifePlaintext("!Name: Glider\n!The smallest spaceship.\n.O.\n..O\nOOO\n");
+  assert.deepStrictEqual(glider.cells, GLIDER_CELLS);
+  assert.strictEqual(glider.rule, null);
+  assert.deepStrictEqual(glider.meta, { name: "Glider", author: "", comments: ["The smallest spaceship."] });
+});
+
+test("parseLife10x reads Life 1.05 blocks and Life 1.06 coordinates", () => {
+  const life105 = GOLCore.parseLife10x("#Life 1.05\n#D Glider\n#N\n#P -1 -1\n.*.\n..*\n***\n");
+  assert.deepStrictEqual(life105.cells, GLIDER_CELLS);
+  assert.strictEqual(life105.rule.name, "B3/S23");
+  assert.deepStrictEqual(life105.meta.comments, ["Glider"]);
+
+  const life106 = GOLCore.parseLife10x("#Life 1.06\n0 -1\n1 0\n-1 1\n0 1\n1 1\n");
+  assert.deepStrictEqual(life106.cells, GLIDER_CELLS);
+  assert.strictEqual(life106.rule, null);
+});
+
+test("parsePattern detects the format", () => {
+  assert.deepStrictEqual(GOLCore.parsePattern(GLIDER_RLE).cells, GLIDER_CELLS);
+  assert.deepStrictEqual(GOLCore.parsePattern(".O.\n..O\nOOO\n").cells, GLIDER_CELLS);
+  assert.deepStrictEqual(GOLCore.parsePattern("#Life 1.06\n1 0\n2 1\n0 2\n1 2\n2 2\n").cells, GLIDER_CELLS);
+  assert.strictEqual(GOLCore.parsePattern(null), null);
+});
+
+test("stepLife moves a glider one cell diagonally every 4 generations", () => {
+  const n = 16;
+  const sim = GOLCore.createCpuSimulation("life", n, { data: lifeBoard(n, GLIDER_CELLS, 4, 4) });
+  sim.step(4);
+  assert.strictEqual(sim.generation, 4);
+  assert.deepStrictEqual(liveCells(sim.data, n), liveCells(lifeBoard(n, GLIDER_CELLS, 5, 5), n));
+});
+
+test("stepLife clamps at the edges instead of wrapping", () => {
+  const n = 8;
+  // A blinker against the left edge: wrapped, the far column would see it too
+  const sim = GOLCore.createCpuSimulation("life", n, { data: lifeBoard(n, [[0, 3], [0, 4], [0, 5]]) });
+  sim.step(1);
+  assert.ok(liveCells(sim.data, n).every(([x]) => x < n - 1));
+});
+
+test("stepAnt builds the highway after about 10000 steps", () => {
+  const n = 96;
+  const center = n / 2;
+  const seedWriter = new GOLCore.SeedWriter(n);
+  seedWriter.fillChannel(3, 255);
+  seedWriter.setRgb(center, center, 0, 255, GOLCore.encodeDir(2));
+  const sim = GOLCore.createCpuSimulation("ant", n, { data: seedWriter.data });
+  sim.step(10400);
+  const before = liveCells(sim.data, n);
+  const [ant] = liveCells(sim.data, n, 1);
+  // The highway repeats every 104 steps, two cells further along a diagonal and 12 cells bigger
+  sim.step(104);
+  const [moved] = liveCells(sim.data, n, 1);
+  assert.deepStrictEqual([Math.abs(moved[0] - ant[0]), Math.abs(moved[1] - ant[1])], [2, 2]);
+  assert.strictEqual(liveCells(sim.data, n).length, before.length + 12);
+});
+
+test("stepGenerations lets cells die through the refractory states", () => {
+  const n = 8;
+  const seedWriter = new GOLCore.SeedWriter(n);
+  seedWriter.fillChannel(3, 255);
+  // Brian's Brain: two live cells give birth on either side of them, then fade
+  seedWriter.setRgb(3, 3, 255, 1, 0);
+  seedWriter.setRgb(4, 3, 255, 1, 0);
+  const sim = GOLCore.createCpuSimulation("generations", n, { rule: GOLCore.parseLifeRule("B2/S/C3"), data: seedWriter.data });
+  sim.step(1);
+  const states = (channel) => liveCells(sim.data, n, channel).map(([x, y]) => [x, y, sim.getCell(x, y)[1]]);
+  assert.deepStrictEqual(sim.getCell(3, 3), Uint8Array.from([0, 2, 0, 255]));
+  assert.deepStrictEqual(sim.getCell(4, 3), Uint8Array.from([0, 2, 0, 255]));
+  assert.deepStrictEqual(states(0), [[3, 2, 1], [4, 2, 1], [3, 4, 1], [4, 4, 1]]);
+  sim.step(1);
+  assert.deepStrictEqual(sim.getCell(3, 3), Uint8Array.from([0, 0, 0, 255]));
+});
+
+test("stepTurmite with the RL turn string walks like Langton's ant", () => {
+  const n = 32;
+  const start = (g) => {
+    const seedWriter = new GOLCore.SeedWriter(n);
+    seedWriter.fillChannel(3, 255);
+    seedWriter.setRgb(16, 16, 0, g, GOLCore.encodeDir(2));
+    return seedWriter.data;
+  };
+  const ant = GOLCore.createCpuSimulation("ant", n, { data: start(255) });
+  const turmite = GOLCore.createCpuSimulation("turmite", n, { rule: GOLCore.parseTurmiteRule("RL"), data: start(1) });
+  ant.step(500);
+  turmite.step(500);
+  // Colours 0/1 against dead/alive, and the same ant on the same heading
+  const cells = (data) => Array.from({ length: n * n }, (_, i) => [data[i * 4] > 0, data[i * 4 + 1] > 0, data[i * 4 + 2]]);
+  assert.deepStrictEqual(cells(turmite.data), cells(ant.data));
+});
+
+test("createCpuSimulation seeds the same board from the same seed", () => {
+  const patterns = GOLCore.compilePatterns([{ name: "glider", text: GLIDER_RLE, minCount: 2, maxCount: 4, padding: 2 }]);
+  const boards = [1, 2].map(() =>
+    GOLCore.createCpuSimulation("life", 48, { random: GOLCore.createRandom(7), patterns }).data);
+  assert.deepStrictEqual(boards[0], boards[1]);
+});
+
+test("encodeRle writes a board back as RLE", () => {
+  const n = 8;
+  const life = GOLCore.parseLifeRule("B3/S23");
+  const states = GOLCore.boardToStates(lifeBoard(n, GLIDER_CELLS, 2, 3), n);
+  const rle = GOLCore.encodeRle(states, n, life);
+  assert.strictEqual(rle, "x = 3, y = 3, rule = B3/S23\n3o$2bo$bo!\n");
+  // boardToStates flips rows, so reading it back gives the glider upside down
+  assert.deepStrictEqual(GOLCore.parseLifeRle(rle).cells, [[0, 0], [1, 0], [2, 0], [2, 1], [1, 2]]);
+
+  const generations = GOLCore.parseLifeRule("B2/S/C3");
+  const multistate = new Uint8Array(n * n);
+  multistate.set([1, 1, 0, 2], 0);
+  assert.strictEqual(GOLCore.encodeRle(multistate, n, generations), "x = 4, y = 1, rule = B2/S/C3\n2A.B!\n");
+});
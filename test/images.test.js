@@ -0,0 +1,38 @@
+// The responsive-images transform on markdown rendered the way the site renders it, writing variants to a
+// scratch directory instead of _site.
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const markdownIt = require("markdown-it");
+const { transformImages } = require("../_config/images");
+
+const POST = path.join("src", "posts", "verifex", "verifex.md");
+
+test("markdown images become pictures with AVIF and WebP sources", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "images-test-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const html = await transformImages(markdownIt().render("![A control flow graph](./images/cfg1.jpg)"), POST, {
+    outputDir,
+    widths: [64],
+  });
+  assert.match(html, /<picture>/);
+  assert.match(html, /<source type="image\/avif" srcset="\/img\/[^"]+\.avif 64w"/);
+  assert.match(html, /<source type="image\/webp" srcset="\/img\/[^"]+\.webp 64w"/);
+  assert.match(html, /<img src="\/img\/[^"]+\.jpeg" alt="A control flow graph" [^>]*width="64" height="\d+"><\/picture>/);
+  assert.ok(fs.readdirSync(path.join(outputDir, "img")).some((file) => file.endsWith(".avif")));
+});
+
+test("local images without alt text fail the build", async () => {
+  await assert.rejects(
+    transformImages(markdownIt().render("![](./images/cfg1.jpg)"), POST, { outputDir: os.tmpdir() }),
+    /verifex\.md: image "\.\/images\/cfg1\.jpg" has no alt text/
+  );
+});
+
+test("remote images are left alone", async () => {
+  const content = markdownIt().render("![](https://example.com/a.png)");
+  assert.strictEqual(await transformImages(content, POST), content);
+});
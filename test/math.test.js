@@ -0,0 +1,54 @@
+// The math plugin on its own markdown-it instance, registered the way Eleventy would register it.
+const test = require("node:test");
+const assert = require("node:assert");
+const markdownIt = require("markdown-it");
+const math = require("../_config/math");
+
+function createMarkdown() {
+  const md = markdownIt();
+  const filters = {};
+  math({
+    addPassthroughCopy() {},
+    amendLibrary: (name, amend) => amend(md),
+    addFilter: (name, filter) => (filters[name] = filter),
+  });
+  return { md, filters };
+}
+
+// TeX sources of the inline math in a rendered snippet
+const texOf = (html) =>
+  [...html.matchAll(/<annotation encoding="application\/x-tex">([\s\S]*?)<\/annotation>/g)].map(([, tex]) => tex);
+
+test("inline math leaves prices alone", () => {
+  const { md } = createMarkdown();
+  const html = md.render("Cost is $5 and $10 here. Inline $a^2$ math.");
+  assert.match(html, /^<p>Cost is \$5 and \$10 here\. Inline <span class="katex">/);
+  assert.deepStrictEqual(texOf(html), ["a^2"]);
+});
+
+test("inline math needs no space just inside the dollars", () => {
+  const { md } = createMarkdown();
+  assert.deepStrictEqual(texOf(md.render("$ a$ and $b $ stay text, $c$ doesn't")), ["c"]);
+  assert.deepStrictEqual(texOf(md.render("$x$5 is not math, ${2}^n$ is")), ["{2}^n"]);
+});
+
+test("inline math stops at code spans and escaped dollars", () => {
+  const { md } = createMarkdown();
+  assert.deepStrictEqual(texOf(md.render("$a `b$` c$")), []);
+  assert.deepStrictEqual(texOf(md.render("$\\$x$")), ["\\$x"]);
+});
+
+test("labelled display math is numbered and referenced", () => {
+  const { md, filters } = createMarkdown();
+  const env = { page: { inputPath: "./src/posts/math.md" } };
+  const html = md.render("$$\nE = mc^2 \\label{energy}\n$$\n\nSee $\\eqref{energy}$.", env);
+  assert.match(html, /<div class="math-display" id="eq-energy">/);
+  assert.match(html, /<a class="eq-ref" href="#eq-energy">\(1\)<\/a>/);
+  assert.strictEqual(filters.hasMath(env.page.inputPath), true);
+});
+
+test("bad TeX and missing labels fail", () => {
+  const { md } = createMarkdown();
+  assert.throws(() => md.render("$\\frac{1$"), /cannot typeset/);
+  assert.throws(() => md.render("$\\ref{nowhere}$"), /no equation is labelled "nowhere"/);
+});